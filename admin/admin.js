@@ -8,18 +8,39 @@ const API_BASE_URL = "/api";
 let csrfToken = null;
 
 // State Management
+let currentUser = null; // { username, role, permissions } from /api/session
 let works = [];
-let currentWork = null;
+let currentWork = null; // Work being edited, as loaded (its etag guards the save)
 let isEditMode = false;
 
 // Content system - unified array of content items
 // Types: { type: "image", src: "path", caption: "" }
 //        { type: "text", text: "content" }
-//        { type: "video", videoId: "youtube-id" }
+//        { type: "video", provider: "youtube" | "vimeo", id: "video-id", thumbnail? }
+//        { type: "localVideo", src: "path", poster: "path", loop, muted, autoplay }
+//        { type: "comparison", before: { src, label }, after: { src, label } }
 let contentItems = [];
 let pendingImageFiles = []; // Files waiting to be uploaded
 let editingContentIndex = null;
-let editingContentMode = null; // 'text', 'caption', or 'new-text'
+let editingContentMode = null; // 'text', 'caption', 'new-text', 'video' or 'localVideo'
+let editingComparisonIndex = null; // null when adding a new comparison
+let comparisonDraft = null; // { before, after } being edited
+let loadedContentSnapshot = null; // contentItems as loaded, to tell whether they were edited
+let mergeState = null; // { theirs, conflicts } while the merge dialog is open
+
+// Work fields edited in the form (besides content)
+const WORK_FORM_FIELDS = [
+  "title",
+  "date",
+  "client",
+  "industry",
+  "contribution",
+  "style",
+  "software",
+  "featured",
+  "status",
+  "publishAt",
+];
 
 // DOM Elements
 const elements = {
@@ -27,8 +48,17 @@ const elements = {
   searchInput: document.getElementById("searchInput"),
   yearFilter: document.getElementById("yearFilter"),
   industryFilter: document.getElementById("industryFilter"),
+  statusFilter: document.getElementById("statusFilter"),
   addWorkBtn: document.getElementById("addWorkBtn"),
   buildBtn: document.getElementById("buildBtn"),
+  logoutBtn: document.getElementById("logoutBtn"),
+  usersBtn: document.getElementById("usersBtn"),
+  trashBtn: document.getElementById("trashBtn"),
+  activityPanel: document.getElementById("activityPanel"),
+  activityList: document.getElementById("activityList"),
+  activityWorkFilter: document.getElementById("activityWorkFilter"),
+  activityUserFilter: document.getElementById("activityUserFilter"),
+  currentUserEl: document.getElementById("currentUser"),
   cancelBtn: document.getElementById("cancelBtn"),
   totalWorksEl: document.getElementById("totalWorks"),
   featuredWorksEl: document.getElementById("featuredWorks"),
@@ -38,20 +68,48 @@ const elements = {
   workForm: document.getElementById("workForm"),
   contentGrid: document.getElementById("contentGrid"),
   buildStatus: document.getElementById("buildStatus"),
+  formErrors: document.getElementById("formErrors"),
 };
 
 // Drag and drop state
 let draggedElement = null;
 let draggedIndex = null;
 
-// Shared modules (loaded via shared/utils.js and shared/config.js)
+// Shared modules (loaded via shared/utils.js, shared/config.js, shared/schema.js and shared/permissions.js)
 const getUtils = () => window.PortfolioUtils;
 const getConfig = () => window.PortfolioConfig;
+const getSchema = () => window.PortfolioSchema;
+const getPermissions = () => window.PortfolioPermissions;
 
-// Fetch CSRF token
+// Whether the signed-in user's role allows an action (server.js enforces the same rules)
+function canDo(permission) {
+  return Boolean(currentUser && currentUser.permissions.includes(permission));
+}
+
+// Contributors edit drafts only; works past a draft also need works:publish
+function canEditWork(work) {
+  return canDo("works:edit") && (getUtils().getWorkStatus(work) === "draft" || canDo("works:publish"));
+}
+
+// Send the browser to the login page when the session is missing or expired
+function redirectToLogin() {
+  window.location.href = "/admin/login.html";
+}
+
+// fetch() for API calls, redirecting to the login page on 401
+async function authFetch(url, options) {
+  const response = await fetch(url, options);
+  if (response.status === 401) {
+    redirectToLogin();
+    throw new Error("Not signed in");
+  }
+  return response;
+}
+
+// Fetch CSRF token (bound to the session)
 async function fetchCsrfToken() {
   try {
-    const response = await fetch(`${API_BASE_URL}/csrf-token`);
+    const response = await authFetch(`${API_BASE_URL}/csrf-token`);
     const data = await response.json();
     csrfToken = data.token;
     return csrfToken;
@@ -61,10 +119,18 @@ async function fetchCsrfToken() {
   }
 }
 
+// Error for a failed API response (status and body kept, e.g. for 409 conflicts)
+function createApiError(response, errorData) {
+  const error = new Error(errorData.message || `Request failed: ${response.status}`);
+  error.status = response.status;
+  error.data = errorData;
+  return error;
+}
+
 // API wrapper with error handling and CSRF
 async function apiRequest(url, options = {}) {
   try {
-    if (["POST", "PUT", "DELETE"].includes(options.method)) {
+    if (["POST", "PUT", "PATCH", "DELETE"].includes(options.method)) {
       if (!csrfToken) {
         await fetchCsrfToken();
       }
@@ -74,22 +140,22 @@ async function apiRequest(url, options = {}) {
       };
     }
 
-    const response = await fetch(`${API_BASE_URL}${url}`, options);
+    const response = await authFetch(`${API_BASE_URL}${url}`, options);
 
     if (response.status === 403) {
       await fetchCsrfToken();
       options.headers["X-CSRF-Token"] = csrfToken;
-      const retryResponse = await fetch(`${API_BASE_URL}${url}`, options);
+      const retryResponse = await authFetch(`${API_BASE_URL}${url}`, options);
       if (!retryResponse.ok) {
         const errorData = await retryResponse.json().catch(() => ({}));
-        throw new Error(errorData.message || `Request failed: ${retryResponse.status}`);
+        throw createApiError(retryResponse, errorData);
       }
       return await retryResponse.json();
     }
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `Request failed: ${response.status}`);
+      throw createApiError(response, errorData);
     }
 
     return await response.json();
@@ -99,6 +165,39 @@ async function apiRequest(url, options = {}) {
   }
 }
 
+// Show who is signed in and hide the controls their role can't use
+async function loadCurrentUser() {
+  try {
+    currentUser = await apiRequest("/session");
+    const { ROLE_LABELS } = getPermissions();
+    elements.currentUserEl.textContent = `${currentUser.username} (${ROLE_LABELS[currentUser.role]})`;
+  } catch (error) {
+    currentUser = null;
+    elements.currentUserEl.textContent = "";
+  }
+
+  elements.addWorkBtn.hidden = !canDo("works:create");
+  elements.buildBtn.hidden = !canDo("build");
+  elements.usersBtn.hidden = !canDo("users:manage");
+  elements.trashBtn.hidden = !canDo("works:delete");
+  elements.activityPanel.hidden = !canDo("audit:read");
+  // Left out of the form data when disabled, so the server keeps the current values
+  elements.workForm.querySelectorAll('[name="status"], [name="publishAt"]').forEach((field) => {
+    field.disabled = !canDo("works:publish");
+  });
+  elements.workForm.querySelector('[name="featured"]').disabled = !canDo("works:feature");
+}
+
+// End the session and return to the login page
+async function handleLogout() {
+  try {
+    await apiRequest("/logout", { method: "POST" });
+  } catch (error) {
+    // Signed out either way once the login page loads
+  }
+  redirectToLogin();
+}
+
 // Show status message
 function showStatus(message, type = "info") {
   elements.buildStatus.textContent = message;
@@ -112,33 +211,105 @@ function showStatus(message, type = "info") {
   }
 }
 
+// Remove all inline validation errors from the work form
+function clearFormErrors() {
+  elements.workForm.querySelectorAll(".invalid").forEach((el) => el.classList.remove("invalid"));
+  elements.workForm.querySelectorAll(".field-error").forEach((el) => el.remove());
+  elements.formErrors.innerHTML = "";
+  elements.formErrors.hidden = true;
+}
+
+// Show field-level errors (from validateMeta or the API) next to their inputs.
+// Content item errors mark the item's tile; the rest are listed above the actions.
+function showFormErrors(errors) {
+  const { escapeHtml } = getUtils();
+  const unplaced = [];
+  clearFormErrors();
+
+  errors.forEach(({ path, message }) => {
+    const field = path.split(/[.[]/)[0];
+    const input = field && field !== "content" && elements.workForm.querySelector(`[name="${field}"]`);
+    if (input) {
+      input.classList.add("invalid");
+      const hint = document.createElement("small");
+      hint.className = "field-error";
+      hint.textContent = message;
+      input.closest(".form-group").appendChild(hint);
+      return;
+    }
+
+    const contentMatch = path.match(/^content\[(\d+)\]/);
+    const tile = contentMatch && elements.contentGrid.querySelector(`.content-item[data-index="${contentMatch[1]}"]`);
+    if (tile) {
+      tile.classList.add("invalid");
+      tile.title = `${path} ${message}`;
+    }
+    unplaced.push(path ? `${path} ${message}` : message);
+  });
+
+  if (unplaced.length > 0) {
+    elements.formErrors.innerHTML = `<ul>${unplaced.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ul>`;
+    elements.formErrors.hidden = false;
+  }
+}
+
 // Render image preview HTML
 function renderImagePreview(imageSrc, alt = "", size = { width: 60, height: 40 }) {
   const { escapeHtml } = getUtils();
   if (!imageSrc) {
     return `<div style="width: ${size.width}px; height: ${size.height}px; background: #3a3a40; border-radius: 4px;"></div>`;
   }
-  return `<img src="${imageSrc}" alt="${escapeHtml(alt)}" style="width: ${size.width}px; height: ${size.height}px; object-fit: cover; border-radius: 4px;">`;
+  return `<img src="${escapeHtml(imageSrc)}" alt="${escapeHtml(alt)}" style="width: ${size.width}px; height: ${size.height}px; object-fit: cover; border-radius: 4px;">`;
 }
 
 // Initialize Application
 document.addEventListener("DOMContentLoaded", async () => {
+  populateStatusOptions();
   await fetchCsrfToken();
+  await loadCurrentUser();
   initializeEventListeners();
   initializeContentEditModal();
+  initializeComparisonEditModal();
+  initializeUsersModal();
+  initializeRevisionsModal();
+  initializeMergeModal();
+  initializeTrashModal();
+  initializeActivityPanel();
   loadWorks();
   loadLastBuildTime();
+
+  // Dev server (npm run dev): refresh the list when works change on disk
+  if (window.PortfolioLiveReload) {
+    window.PortfolioLiveReload.onDataChange(() => {
+      loadWorks();
+      loadLastBuildTime();
+    });
+  }
 });
 
 // Event Listeners
 function initializeEventListeners() {
   elements.addWorkBtn.addEventListener("click", openAddModal);
   elements.buildBtn.addEventListener("click", handleBuild);
+  elements.logoutBtn.addEventListener("click", handleLogout);
   elements.cancelBtn.addEventListener("click", closeModal);
   elements.workForm.addEventListener("submit", handleFormSubmit);
+  elements.workForm.addEventListener("input", (e) => {
+    if (!e.target.classList.contains("invalid")) return;
+    e.target.classList.remove("invalid");
+    const hint = e.target.closest(".form-group").querySelector(".field-error");
+    if (hint) hint.remove();
+  });
   elements.searchInput.addEventListener("input", filterWorks);
   elements.yearFilter.addEventListener("change", filterWorks);
   elements.industryFilter.addEventListener("change", filterWorks);
+  elements.statusFilter.addEventListener("change", filterWorks);
+  if (canDo("works:edit")) {
+    elements.worksBody.addEventListener("dblclick", (e) => {
+      const cell = e.target.closest(".editable");
+      if (cell) startCellEdit(cell);
+    });
+  }
 
   // Close modal on outside click - auto save
   let mouseDownTarget = null;
@@ -156,6 +327,8 @@ function initializeEventListeners() {
 
   // Content buttons
   document.getElementById("imageFileInput").addEventListener("change", handleImageFileSelect);
+  document.getElementById("videoFileInput").addEventListener("change", handleVideoFileSelect);
+  document.getElementById("addComparisonBtn").addEventListener("click", () => openComparisonEditor(null));
   document.getElementById("addTextBtn").addEventListener("click", () => openContentEditor(null, 'new-text'));
 
   initializeDragAndDrop();
@@ -178,6 +351,7 @@ function saveLastBuildTime() {
 
 // Content Management
 function renderContentGrid() {
+  const { escapeHtml } = getUtils();
   let html = "";
 
   contentItems.forEach((item, index) => {
@@ -202,15 +376,41 @@ function renderContentGrid() {
         </div>
       `;
     } else if (item.type === "video") {
+      const { label } = getUtils().getVideoProvider(item.provider);
+      const thumbnail = getUtils().getVideoThumbnail(item);
       html += `
-        <div class="content-item content-video" draggable="true" data-index="${index}">
-          <img src="https://img.youtube.com/vi/${item.videoId}/mqdefault.jpg" alt="Video thumbnail">
-          <div class="video-badge">▶ YouTube</div>
+        <div class="content-item content-video content-video-${item.provider}" draggable="true" data-index="${index}">
+          ${thumbnail ? `<img src="${escapeHtml(thumbnail)}" alt="Video thumbnail">` : ""}
+          <div class="video-badge">▶ ${label}</div>
           <button class="edit-btn" data-index="${index}" type="button" title="Edit video">✎</button>
           <button class="remove-content" data-index="${index}" type="button">×</button>
           <div class="content-order">${index + 1}</div>
         </div>
       `;
+    } else if (item.type === "comparison") {
+      html += `
+        <div class="content-item content-comparison" draggable="true" data-index="${index}">
+          <img src="${item.before.src}" alt="Before">
+          <img src="${item.after.src}" alt="After">
+          <div class="comparison-badge">◧ Compare</div>
+          <button class="edit-btn" data-index="${index}" type="button" title="Edit comparison">✎</button>
+          <button class="remove-content" data-index="${index}" type="button">×</button>
+          <div class="content-order">${index + 1}</div>
+        </div>
+      `;
+    } else if (item.type === "localVideo") {
+      const preview = item.poster
+        ? `<img src="${item.poster}" alt="Video poster">`
+        : `<video src="${item.src}" muted preload="metadata"></video>`;
+      html += `
+        <div class="content-item content-video content-local-video" draggable="true" data-index="${index}">
+          ${preview}
+          <div class="video-badge">▶ Video</div>
+          <button class="edit-btn" data-index="${index}" type="button" title="Video options">✎</button>
+          <button class="remove-content" data-index="${index}" type="button">×</button>
+          <div class="content-order">${index + 1}</div>
+        </div>
+      `;
     }
   });
 
@@ -240,6 +440,57 @@ function handleImageFileSelect(event) {
   event.target.value = ""; // Reset input
 }
 
+function handleVideoFileSelect(event) {
+  const files = Array.from(event.target.files);
+
+  files.forEach(file => {
+    const item = {
+      type: "localVideo",
+      src: URL.createObjectURL(file),
+      poster: null,
+      loop: false,
+      muted: false,
+      autoplay: false,
+      _pendingFile: file // Mark as pending upload
+    };
+    contentItems.push(item);
+
+    // Grab a poster frame in the background; the video uploads without one if this fails
+    capturePosterFrame(item.src)
+      .then(blob => {
+        item._pendingPoster = blob;
+        item.poster = URL.createObjectURL(blob);
+        renderContentGrid();
+      })
+      .catch(error => console.warn("Could not capture poster frame:", error));
+  });
+
+  renderContentGrid();
+  event.target.value = ""; // Reset input
+}
+
+// Capture a JPEG poster frame from a video URL (1s in, or the middle of short clips)
+function capturePosterFrame(videoSrc) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.preload = "auto";
+    video.src = videoSrc;
+
+    video.addEventListener("loadedmetadata", () => {
+      video.currentTime = Math.min(1, video.duration / 2);
+    });
+    video.addEventListener("seeked", () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext("2d").drawImage(video, 0, 0);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Empty frame"))), "image/jpeg", 0.85);
+    });
+    video.addEventListener("error", () => reject(new Error("Video could not be decoded")));
+  });
+}
+
 function removeContent(index) {
   contentItems.splice(index, 1);
   renderContentGrid();
@@ -260,6 +511,10 @@ function openContentEditor(index, mode) {
   const title = document.getElementById("contentEditTitle");
   const textarea = document.getElementById("contentEditText");
   const hint = document.getElementById("contentEditHint");
+  const options = document.getElementById("contentEditOptions");
+
+  textarea.style.display = "";
+  options.classList.remove("active");
 
   if (mode === 'caption') {
     title.textContent = "Image Caption";
@@ -269,13 +524,24 @@ function openContentEditor(index, mode) {
   } else if (mode === 'text' || mode === 'new-text') {
     title.textContent = "Text Content";
     hint.style.display = "block";
-    textarea.placeholder = "Enter text or paste a YouTube URL...";
+    textarea.placeholder = "Enter text or paste a YouTube or Vimeo URL...";
     textarea.value = mode === 'new-text' ? "" : (contentItems[index].text || "");
   } else if (mode === 'video') {
-    title.textContent = "YouTube Video";
+    const item = contentItems[index];
+    const provider = getUtils().getVideoProvider(item.provider);
+    title.textContent = provider ? `${provider.label} Video` : "Video";
     hint.style.display = "block";
-    textarea.placeholder = "Enter YouTube URL or video ID...";
-    textarea.value = contentItems[index].videoId || "";
+    textarea.placeholder = "Enter a YouTube or Vimeo URL...";
+    textarea.value = provider ? provider.getPageUrl(item.id) : "";
+  } else if (mode === 'localVideo') {
+    const item = contentItems[index];
+    title.textContent = "Video Options";
+    hint.style.display = "none";
+    textarea.style.display = "none";
+    options.classList.add("active");
+    document.getElementById("contentEditLoop").checked = !!item.loop;
+    document.getElementById("contentEditMuted").checked = !!item.muted;
+    document.getElementById("contentEditAutoplay").checked = !!item.autoplay;
   }
 
   modal.classList.add("active");
@@ -296,27 +562,33 @@ function saveContentEditor() {
     contentItems[editingContentIndex].caption = text;
   } else if (editingContentMode === 'new-text') {
     if (text) {
-      const videoId = getUtils().extractYouTubeId(text);
-      if (videoId) {
-        contentItems.push({ type: "video", videoId: videoId });
+      const video = getUtils().parseVideoUrl(text);
+      if (video) {
+        contentItems.push({ type: "video", ...video });
       } else {
         contentItems.push({ type: "text", text: text });
       }
     }
   } else if (editingContentMode === 'text') {
-    const videoId = getUtils().extractYouTubeId(text);
-    if (videoId) {
+    const video = getUtils().parseVideoUrl(text);
+    if (video) {
       // Convert text to video
-      contentItems[editingContentIndex] = { type: "video", videoId: videoId };
+      contentItems[editingContentIndex] = { type: "video", ...video };
     } else {
       contentItems[editingContentIndex].text = text;
     }
+  } else if (editingContentMode === 'localVideo') {
+    const item = contentItems[editingContentIndex];
+    item.loop = document.getElementById("contentEditLoop").checked;
+    item.muted = document.getElementById("contentEditMuted").checked;
+    item.autoplay = document.getElementById("contentEditAutoplay").checked;
   } else if (editingContentMode === 'video') {
-    const videoId = getUtils().extractYouTubeId(text);
-    if (videoId) {
-      contentItems[editingContentIndex].videoId = videoId;
+    const video = getUtils().parseVideoUrl(text);
+    if (video) {
+      // Thumbnail is looked up again on save
+      contentItems[editingContentIndex] = { type: "video", ...video };
     } else if (text) {
-      // Convert to text if not a valid YouTube URL
+      // Convert to text if not a recognised video URL
       contentItems[editingContentIndex] = { type: "text", text: text };
     }
   }
@@ -345,6 +617,76 @@ function initializeContentEditModal() {
   });
 }
 
+// Comparison Edit Modal
+function openComparisonEditor(index) {
+  editingComparisonIndex = index;
+  const existing = index === null ? null : contentItems[index];
+  comparisonDraft = {
+    before: existing ? { ...existing.before } : { src: null, label: "" },
+    after: existing ? { ...existing.after } : { src: null, label: "" },
+  };
+
+  ["before", "after"].forEach(side => {
+    const key = side === "before" ? "Before" : "After";
+    const preview = document.getElementById(`comparison${key}Preview`);
+    if (comparisonDraft[side].src) preview.src = comparisonDraft[side].src;
+    else preview.removeAttribute("src");
+    document.getElementById(`comparison${key}Label`).value = comparisonDraft[side].label || "";
+  });
+
+  document.getElementById("comparisonEditModal").classList.add("active");
+}
+
+function closeComparisonEditor() {
+  editingComparisonIndex = null;
+  comparisonDraft = null;
+  document.getElementById("comparisonEditModal").classList.remove("active");
+}
+
+function handleComparisonFileSelect(side, event) {
+  const file = event.target.files[0];
+  if (!file || !comparisonDraft) return;
+
+  const src = URL.createObjectURL(file);
+  // Replacing a stored image uploads the new file under a new name
+  comparisonDraft[side] = { src, label: comparisonDraft[side].label, _pendingFile: file };
+  document.getElementById(side === "before" ? "comparisonBeforePreview" : "comparisonAfterPreview").src = src;
+  event.target.value = ""; // Reset input
+}
+
+function saveComparisonEditor() {
+  if (!comparisonDraft.before.src || !comparisonDraft.after.src) {
+    showStatus("Choose both a before and an after image", "error");
+    return;
+  }
+
+  comparisonDraft.before.label = document.getElementById("comparisonBeforeLabel").value.trim();
+  comparisonDraft.after.label = document.getElementById("comparisonAfterLabel").value.trim();
+  const item = { type: "comparison", before: comparisonDraft.before, after: comparisonDraft.after };
+
+  if (editingComparisonIndex === null) {
+    contentItems.push(item);
+  } else {
+    contentItems[editingComparisonIndex] = item;
+  }
+
+  closeComparisonEditor();
+  renderContentGrid();
+}
+
+function initializeComparisonEditModal() {
+  document.getElementById("comparisonEditCancel").addEventListener("click", closeComparisonEditor);
+  document.getElementById("comparisonEditSave").addEventListener("click", saveComparisonEditor);
+  document.getElementById("comparisonBeforeFile").addEventListener("change", (e) => handleComparisonFileSelect("before", e));
+  document.getElementById("comparisonAfterFile").addEventListener("change", (e) => handleComparisonFileSelect("after", e));
+
+  document.getElementById("comparisonEditModal").addEventListener("click", (e) => {
+    if (e.target.id === "comparisonEditModal") {
+      closeComparisonEditor();
+    }
+  });
+}
+
 // Drag and Drop
 function initializeDragAndDrop() {
   elements.contentGrid.addEventListener("dragstart", (e) => {
@@ -408,7 +750,11 @@ function initializeDragAndDrop() {
       openContentEditor(index, 'caption');
     } else if (e.target.classList.contains("edit-btn")) {
       const item = contentItems[index];
-      openContentEditor(index, item.type);
+      if (item.type === "comparison") {
+        openComparisonEditor(index);
+      } else {
+        openContentEditor(index, item.type);
+      }
     }
   });
 }
@@ -421,6 +767,7 @@ async function loadWorks() {
     populateFilters();
     renderWorks(works);
     updateStats();
+    loadActivity();
     showStatus("", "success");
   } catch (error) {
     showStatus(`Error loading works: ${error.message}`, "error");
@@ -432,7 +779,7 @@ function renderWorks(worksToRender) {
   const { escapeHtml } = getUtils();
 
   if (!worksToRender || worksToRender.length === 0) {
-    elements.worksBody.innerHTML = '<tr><td colspan="8" style="text-align: center; padding: 2rem;">No works found</td></tr>';
+    elements.worksBody.innerHTML = '<tr><td colspan="9" style="text-align: center; padding: 2rem;">No works found</td></tr>';
     return;
   }
 
@@ -445,10 +792,24 @@ function renderWorks(worksToRender) {
       previewSrc = normalizePreviewSrc(primaryMedia.src);
     } else if (primaryMedia.type === "video") {
       previewSrc = primaryMedia.thumbnail;
+    } else if (primaryMedia.type === "localVideo") {
+      previewSrc = normalizePreviewSrc(primaryMedia.poster);
     }
 
     const previewImg = renderImagePreview(previewSrc, work.title);
     const featuredClass = work.featured ? "active" : "";
+    const featuredControl = canDo("works:feature")
+      ? `<span class="featured-checkbox ${featuredClass}" data-work-id="${work.id}" onclick="toggleFeatured('${work.id}')">⭐</span>`
+      : `<span class="featured-checkbox readonly ${featuredClass}">⭐</span>`;
+    const statusBadge = renderStatusBadge(work);
+    const actions = [
+      `<a class="btn btn-small btn-preview" href="/admin/preview/${encodeURIComponent(work.id)}" target="_blank" rel="noopener">Preview</a>`,
+      canEditWork(work) ? `<button class="btn btn-small btn-edit" onclick="openEditModal('${work.id}')">Edit</button>` : "",
+      canDo("works:create") ? `<button class="btn btn-small btn-duplicate" onclick="handleDuplicate('${work.id}')">Duplicate</button>` : "",
+      canDo("works:delete") ? `<button class="btn btn-small btn-delete" onclick="handleDelete('${work.id}')">Delete</button>` : "",
+      canDo("audit:read") ? `<button class="btn btn-small btn-history" onclick="showWorkActivity('${work.id}')">History</button>` : "",
+      `<button class="btn btn-small btn-history" onclick="openRevisionsModal('${work.id}')">Revisions</button>`,
+    ].filter(Boolean).join("\n          ");
 
     return `
       <tr data-work-id="${work.id}">
@@ -458,17 +819,27 @@ function renderWorks(worksToRender) {
         <td class="editable" data-field="client">${escapeHtml(work.client || "-")}</td>
         <td class="editable" data-field="industry">${escapeHtml(work.industry || "-")}</td>
         <td class="editable" data-field="contribution">${escapeHtml(work.contribution || "-")}</td>
-        <td><span class="featured-checkbox ${featuredClass}" data-work-id="${work.id}" onclick="toggleFeatured('${work.id}')">⭐</span></td>
+        <td>${featuredControl}</td>
+        <td>${statusBadge}</td>
         <td>
-          <button class="btn btn-small btn-edit" onclick="openEditModal('${work.id}')">Edit</button>
-          <button class="btn btn-small btn-duplicate" onclick="handleDuplicate('${work.id}')">Duplicate</button>
-          <button class="btn btn-small btn-delete" onclick="handleDelete('${work.id}')">Delete</button>
+          ${actions}
         </td>
       </tr>
     `;
   }).join("");
 }
 
+// Status badge for the works table (scheduled works show their publish time)
+function renderStatusBadge(work) {
+  const { escapeHtml, getWorkStatus, isWorkLive } = getUtils();
+  const status = getWorkStatus(work);
+  const label = getConfig().publishing.labels[status] || status;
+  const title = work.publishAt
+    ? `${isWorkLive(work) ? "Published" : "Publishes"} ${new Date(work.publishAt).toLocaleString()}`
+    : "";
+  return `<span class="status-badge status-${escapeHtml(status)}" title="${escapeHtml(title)}">${escapeHtml(label)}</span>`;
+}
+
 // Populate Filter Dropdowns
 function populateFilters() {
   const { escapeHtml } = getUtils();
@@ -484,6 +855,22 @@ function populateFilters() {
     industries.map((industry) => `<option value="${escapeHtml(industry)}">${escapeHtml(industry)}</option>`).join("");
 }
 
+// Status options from CONFIG.publishing (the form starts new works on newWorkStatus)
+function populateStatusOptions() {
+  const { escapeHtml } = getUtils();
+  const { statuses, labels, newWorkStatus } = getConfig().publishing;
+  const options = (selected) =>
+    statuses
+      .map((status) => {
+        const selectedAttr = status === selected ? " selected" : "";
+        return `<option value="${escapeHtml(status)}"${selectedAttr}>${escapeHtml(labels[status] || status)}</option>`;
+      })
+      .join("");
+
+  elements.statusFilter.innerHTML = '<option value="">All Statuses</option>' + options();
+  elements.workForm.querySelector('[name="status"]').innerHTML = options(newWorkStatus);
+}
+
 // Filter Works
 function filterWorks() {
   renderWorks(getFilteredWorks());
@@ -495,34 +882,97 @@ function updateStats() {
   elements.featuredWorksEl.textContent = works.filter((w) => w.featured).length;
 }
 
+// Save some fields of a work without the form (merge patch: null clears a field)
+async function patchWork(work, patch) {
+  return apiRequest(`/works/${encodeURIComponent(work.id)}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/merge-patch+json", "If-Match": work.etag },
+    body: JSON.stringify(patch),
+  });
+}
+
+// Report a failed save from the works table. A conflict means the list is
+// out of date, so it is reloaded first.
+async function reportWorkSaveError(error) {
+  if (error.status === 409) {
+    await loadWorks();
+    showStatus(`Error: ${error.message}. The list has been reloaded.`, "error");
+  } else {
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
 // Toggle Featured Status
 async function toggleFeatured(workId) {
   const work = works.find((w) => w.id === workId);
   if (!work) return;
 
-  const newFeatured = !work.featured;
-
   try {
-    if (!csrfToken) await fetchCsrfToken();
-
-    const formData = new FormData();
-    formData.set("title", work.title);
-    formData.set("date", work.date);
-    formData.set("featured", newFeatured ? "true" : "false");
-
-    const response = await fetch(`${API_BASE_URL}/works/${workId}`, {
-      method: "PUT",
-      headers: { "X-CSRF-Token": csrfToken },
-      body: formData,
-    });
+    const result = await patchWork(work, { featured: !work.featured });
+    work.featured = !work.featured;
+    work.etag = result.etag;
+    renderWorks(getFilteredWorks());
+    updateStats();
+  } catch (error) {
+    await reportWorkSaveError(error);
+  }
+}
 
-    if (!response.ok) throw new Error("Failed to update featured status");
+// Inline editing of table cells (double click, Enter saves, Escape cancels)
+function startCellEdit(cell) {
+  const row = cell.closest("tr");
+  const work = works.find((w) => w.id === row.dataset.workId);
+  if (!work || !canEditWork(work) || cell.querySelector("input")) return;
+
+  const field = cell.dataset.field;
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "cell-input";
+  input.value = work[field] || "";
+  cell.textContent = "";
+  cell.appendChild(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (save) {
+      saveCellEdit(work, field, input.value.trim());
+    } else {
+      renderWorks(getFilteredWorks());
+    }
+  };
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+}
 
-    work.featured = newFeatured;
+// Save one edited cell; an emptied cell clears the field
+async function saveCellEdit(work, field, value) {
+  if (value === (work[field] || "")) {
     renderWorks(getFilteredWorks());
-    updateStats();
+    return;
+  }
+
+  try {
+    const result = await patchWork(work, { [field]: value || null });
+    if (result.id !== work.id) {
+      // A new title or year renames the work
+      await loadWorks();
+    } else {
+      work[field] = value;
+      work.etag = result.etag;
+      renderWorks(getFilteredWorks());
+      populateFilters();
+    }
+    showStatus("Work updated", "success");
   } catch (error) {
-    showStatus(`Error: ${error.message}`, "error");
+    renderWorks(getFilteredWorks());
+    await reportWorkSaveError(error);
   }
 }
 
@@ -530,6 +980,7 @@ function getFilteredWorks() {
   const searchText = elements.searchInput.value.toLowerCase();
   const yearValue = elements.yearFilter.value;
   const industryValue = elements.industryFilter.value;
+  const statusValue = elements.statusFilter.value;
 
   return works.filter((work) => {
     const matchesSearch =
@@ -541,8 +992,9 @@ function getFilteredWorks() {
 
     const matchesYear = !yearValue || work.date === yearValue;
     const matchesIndustry = !industryValue || work.industry === industryValue;
+    const matchesStatus = !statusValue || getUtils().getWorkStatus(work) === statusValue;
 
-    return matchesSearch && matchesYear && matchesIndustry;
+    return matchesSearch && matchesYear && matchesIndustry && matchesStatus;
   });
 }
 
@@ -557,14 +1009,15 @@ function openAddModal() {
   elements.modal.style.display = "flex";
 }
 
-function openEditModal(workId) {
-  isEditMode = true;
-  currentWork = works.find((w) => w.id === workId);
-
-  if (!currentWork) {
-    showStatus("Work not found", "error");
+// Open a work for editing, loading its latest version (and ETag) first
+async function openEditModal(workId) {
+  try {
+    currentWork = await apiRequest(`/works/${encodeURIComponent(workId)}`);
+  } catch (error) {
+    showStatus(`Error: ${error.message}`, "error");
     return;
   }
+  isEditMode = true;
 
   elements.modalTitle.textContent = "Edit Work";
   populateForm(currentWork);
@@ -575,9 +1028,11 @@ function closeModal() {
   elements.modal.style.display = "none";
   elements.workForm.reset();
   elements.contentGrid.innerHTML = "";
+  clearFormErrors();
   currentWork = null;
   isEditMode = false;
   contentItems = [];
+  loadedContentSnapshot = null;
 }
 
 async function saveAndCloseModal() {
@@ -594,39 +1049,81 @@ async function saveAndCloseModal() {
 // Populate Form with Work Data
 function populateForm(work) {
   elements.workForm.querySelector('[name="workId"]').value = work.id;
-  elements.workForm.querySelector('[name="title"]').value = work.title || "";
-  elements.workForm.querySelector('[name="date"]').value = work.date || "";
-  elements.workForm.querySelector('[name="client"]').value = work.client || "";
-  elements.workForm.querySelector('[name="industry"]').value = work.industry || "";
-  elements.workForm.querySelector('[name="contribution"]').value = work.contribution || "";
-  elements.workForm.querySelector('[name="style"]').value = work.style || "";
-  elements.workForm.querySelector('[name="software"]').value = work.software || "";
-
-  // Build content items from work data
-  contentItems = [];
+  WORK_FORM_FIELDS.forEach((field) => {
+    setFormField(field, getFormValue(work, field));
+  });
+
+  contentItems = buildContentItems(work);
+  loadedContentSnapshot = JSON.stringify(contentItems);
+  renderContentGrid();
+}
+
+// Value of a work field as the form shows it
+function getFormValue(work, field) {
+  if (field === "featured") return Boolean(work.featured);
+  if (field === "status") return getUtils().getWorkStatus(work);
+  if (field === "publishAt") return toDateTimeLocal(work.publishAt);
+  return work[field] || "";
+}
+
+// Read and set a form field (featured is a checkbox)
+function getFormField(field) {
+  const input = elements.workForm.querySelector(`[name="${field}"]`);
+  return input.type === "checkbox" ? input.checked : input.value;
+}
+
+function setFormField(field, value) {
+  const input = elements.workForm.querySelector(`[name="${field}"]`);
+  if (input.type === "checkbox") {
+    input.checked = value;
+  } else {
+    input.value = value;
+  }
+}
+
+// Build content items for the editor from work data
+function buildContentItems(work) {
+  const items = [];
 
   // New content format
   if (work.content && work.content.length > 0) {
     work.content.forEach(item => {
       if (item.type === "image") {
-        contentItems.push({
+        items.push({
           type: "image",
           src: `/${item.src}`,
           caption: item.caption || "",
           _existingSrc: item.src // Track original path for saving
         });
       } else if (item.type === "text") {
-        contentItems.push({ type: "text", text: item.text });
+        items.push({ type: "text", text: item.text });
       } else if (item.type === "video") {
-        contentItems.push({ type: "video", videoId: item.videoId });
+        const video = getUtils().normalizeVideoItem(item);
+        if (video) items.push(video);
+      } else if (item.type === "comparison") {
+        // Track original paths for saving
+        const side = ({ src, label }) => ({ src: `/${src}`, label: label || "", _existingSrc: src });
+        items.push({ type: "comparison", before: side(item.before), after: side(item.after) });
+      } else if (item.type === "localVideo") {
+        items.push({
+          type: "localVideo",
+          src: `/${item.src}`,
+          poster: item.poster ? `/${item.poster}` : null,
+          loop: !!item.loop,
+          muted: !!item.muted,
+          autoplay: !!item.autoplay,
+          _existingSrc: item.src, // Track original paths for saving
+          _existingPoster: item.poster || null
+        });
       }
     });
   }
   // Legacy format migration
   else {
     // Add video first if it's a video type
-    if (work.type === "video" && work.videoId) {
-      contentItems.push({ type: "video", videoId: work.videoId });
+    const video = work.type === "video" ? getUtils().parseVideoUrl(work.videoId) : null;
+    if (video) {
+      items.push({ type: "video", ...video });
     }
 
     // Add images
@@ -634,7 +1131,7 @@ function populateForm(work) {
       work.images.forEach(img => {
         const src = typeof img === 'string' ? img : img.src;
         const caption = typeof img === 'object' ? img.caption : "";
-        contentItems.push({
+        items.push({
           type: "image",
           src: `/${src}`,
           caption: caption || "",
@@ -645,11 +1142,17 @@ function populateForm(work) {
 
     // Add info as text block
     if (work.info && work.info.trim()) {
-      contentItems.push({ type: "text", text: work.info });
+      items.push({ type: "text", text: work.info });
     }
   }
 
-  renderContentGrid();
+  return items;
+}
+
+// Format a publishAt value for a datetime-local input (dates get midnight)
+function toDateTimeLocal(value) {
+  if (!value) return "";
+  return value.length === 10 ? `${value}T00:00` : value.slice(0, 16);
 }
 
 // Handle Form Submit
@@ -663,10 +1166,32 @@ async function handleFormSubmit(event) {
     if (!csrfToken) await fetchCsrfToken();
 
     const formData = new FormData(elements.workForm);
+    // Unchecked boxes are left out of form data; send false so unfeaturing is saved
+    const featuredField = elements.workForm.querySelector('[name="featured"]');
+    if (!featuredField.disabled) formData.set("featured", String(featuredField.checked));
+
+    // Check the work fields against the meta.json schema before uploading
+    const fieldErrors = getSchema().validateMeta({
+      title: formData.get("title"),
+      date: formData.get("date"),
+      client: formData.get("client"),
+      industry: formData.get("industry"),
+      contribution: formData.get("contribution"),
+      style: formData.get("style"),
+      software: formData.get("software"),
+      ...(formData.get("status") && { status: formData.get("status") }),
+      ...(formData.get("publishAt") && { publishAt: formData.get("publishAt") }),
+    });
+    if (fieldErrors.length > 0) {
+      showFormErrors(fieldErrors);
+      throw new Error("Please fix the highlighted fields");
+    }
 
     // Build content array for submission
     const contentData = [];
     const pendingImages = [];
+    const pendingVideos = [];
+    const pendingComparisonFiles = [];
 
     contentItems.forEach((item, index) => {
       if (item.type === "image") {
@@ -689,7 +1214,26 @@ async function handleFormSubmit(event) {
       } else if (item.type === "text") {
         contentData.push({ type: "text", text: item.text });
       } else if (item.type === "video") {
-        contentData.push({ type: "video", videoId: item.videoId });
+        contentData.push(getUtils().normalizeVideoItem(item));
+      } else if (item.type === "comparison") {
+        // New side images are uploaded in content order, before side first
+        const side = ({ label, _pendingFile, _existingSrc }) => {
+          if (_pendingFile) {
+            pendingComparisonFiles.push(_pendingFile);
+            return { _pending: true, label };
+          }
+          return { src: _existingSrc, label };
+        };
+        contentData.push({ type: "comparison", before: side(item.before), after: side(item.after) });
+      } else if (item.type === "localVideo") {
+        const flags = { loop: item.loop, muted: item.muted, autoplay: item.autoplay };
+        if (item._pendingFile) {
+          // New upload - poster frame (if captured) is sent alongside
+          pendingVideos.push(item);
+          contentData.push({ type: "localVideo", _pending: true, _pendingPoster: !!item._pendingPoster, ...flags });
+        } else {
+          contentData.push({ type: "localVideo", src: item._existingSrc, poster: item._existingPoster, ...flags });
+        }
       }
     });
 
@@ -700,6 +1244,19 @@ async function handleFormSubmit(event) {
       formData.append("images", img.file);
     });
 
+    // Add pending comparison images
+    pendingComparisonFiles.forEach(file => {
+      formData.append("comparisons", file);
+    });
+
+    // Add pending video files and their poster frames
+    pendingVideos.forEach(video => {
+      formData.append("videos", video._pendingFile);
+      if (video._pendingPoster) {
+        formData.append("posters", video._pendingPoster, "poster.jpg");
+      }
+    });
+
     let url = "/works";
     let method = "POST";
 
@@ -711,14 +1268,24 @@ async function handleFormSubmit(event) {
       showStatus("Creating work...", "info");
     }
 
-    const response = await fetch(`${API_BASE_URL}${url}`, {
+    const headers = { "X-CSRF-Token": csrfToken };
+    if (method === "PUT") headers["If-Match"] = currentWork.etag;
+
+    const response = await authFetch(`${API_BASE_URL}${url}`, {
       method: method,
-      headers: { "X-CSRF-Token": csrfToken },
+      headers,
       body: formData,
     });
 
     if (!response.ok) {
       const error = await response.json();
+      if (response.status === 409 && error.current) {
+        // Someone else saved first: merge instead of overwriting their edit
+        showStatus(error.message, "error");
+        openMergeModal(error.current);
+        return;
+      }
+      if (error.errors) showFormErrors(error.errors);
       throw new Error(error.message || "Failed to save work");
     }
 
@@ -732,20 +1299,113 @@ async function handleFormSubmit(event) {
   }
 }
 
+// Merge dialog: shown when a save is rejected because the work changed since it was loaded
+function initializeMergeModal() {
+  document.getElementById("mergeCancel").addEventListener("click", closeMergeModal);
+  document.getElementById("mergeDiscard").addEventListener("click", handleDiscardMine);
+  document.getElementById("mergeSave").addEventListener("click", handleSaveMerged);
+}
+
+// Compare the form (mine) and the saved version (theirs) with the version the
+// form was loaded from: changes only they made are taken over, fields both
+// changed differently are listed to choose between
+function openMergeModal(theirs) {
+  const { escapeHtml } = getUtils();
+  const takenOver = [];
+  const conflicts = [];
+
+  WORK_FORM_FIELDS.forEach((field) => {
+    const mine = getFormField(field);
+    const loaded = getFormValue(currentWork, field);
+    const theirValue = getFormValue(theirs, field);
+    if (theirValue === loaded || theirValue === mine) return;
+    if (mine === loaded) {
+      takenOver.push(field);
+    } else {
+      conflicts.push({ field, mine: JSON.stringify(mine), theirs: JSON.stringify(theirValue) });
+    }
+  });
+
+  const theirContent = buildContentItems(theirs);
+  if (JSON.stringify(theirContent) !== JSON.stringify(buildContentItems(currentWork))) {
+    if (JSON.stringify(contentItems) === loadedContentSnapshot) {
+      takenOver.push("content");
+    } else {
+      conflicts.push({ field: "content", mine: `${contentItems.length} items (edited)`, theirs: `${theirContent.length} items` });
+    }
+  }
+
+  mergeState = { theirs, takenOver, conflicts };
+  document.getElementById("mergeHint").textContent = takenOver.length > 0
+    ? `Their changes to ${takenOver.join(", ")} will be kept along with yours.`
+    : "None of their changes touch fields you haven't edited.";
+  document.getElementById("mergeBody").innerHTML = conflicts.length === 0
+    ? '<tr><td colspan="3">No conflicting fields</td></tr>'
+    : conflicts.map(({ field, mine, theirs: theirValue }) => `
+      <tr>
+        <td>${escapeHtml(field)}</td>
+        <td class="diff-before">
+          <label><input type="radio" name="merge-${field}" value="mine" checked /> ${escapeHtml(mine)}</label>
+        </td>
+        <td class="diff-after">
+          <label><input type="radio" name="merge-${field}" value="theirs" /> ${escapeHtml(theirValue)}</label>
+        </td>
+      </tr>
+    `).join("");
+  document.getElementById("mergeModal").classList.add("active");
+}
+
+function closeMergeModal() {
+  document.getElementById("mergeModal").classList.remove("active");
+  mergeState = null;
+}
+
+// Throw away the form's edits and continue from their version
+function handleDiscardMine() {
+  currentWork = mergeState.theirs;
+  populateForm(currentWork);
+  closeMergeModal();
+  showStatus("Loaded the latest version", "info");
+}
+
+// Apply their changes and the chosen versions of conflicting fields, then save
+// on top of their version
+async function handleSaveMerged() {
+  const { theirs, takenOver, conflicts } = mergeState;
+  const useTheirs = new Set(takenOver);
+  conflicts.forEach(({ field }) => {
+    if (document.querySelector(`input[name="merge-${field}"]:checked`).value === "theirs") useTheirs.add(field);
+  });
+
+  useTheirs.forEach((field) => {
+    if (field === "content") {
+      contentItems = buildContentItems(theirs);
+      renderContentGrid();
+    } else {
+      setFormField(field, getFormValue(theirs, field));
+    }
+  });
+
+  currentWork = theirs;
+  loadedContentSnapshot = JSON.stringify(buildContentItems(theirs));
+  closeMergeModal();
+  await handleFormSubmit(new Event("submit"));
+}
+
 // Handle Delete
 async function handleDelete(workId) {
   const work = works.find((w) => w.id === workId);
   if (!work) return;
 
-  if (!confirm(`Delete "${work.title}"? This cannot be undone.`)) return;
+  if (!confirm(`Move "${work.title}" to the trash? It can be restored from Trash until it is purged.`)) return;
 
   try {
     showStatus("Deleting work...", "info");
-    await apiRequest(`/works/${workId}`, { method: "DELETE" });
-    showStatus("Work deleted successfully!", "success");
+    await apiRequest(`/works/${workId}`, { method: "DELETE", headers: { "If-Match": work.etag } });
+    showStatus("Work moved to trash", "success");
     await loadWorks();
   } catch (error) {
-    showStatus(`Error: ${error.message}`, "error");
+    await reportWorkSaveError(error);
   }
 }
 
@@ -789,7 +1449,7 @@ async function handleDuplicate(workId) {
     formData.set("featured", "false");
     formData.set("content", JSON.stringify([]));
 
-    const response = await fetch(`${API_BASE_URL}/works`, {
+    const response = await authFetch(`${API_BASE_URL}/works`, {
       method: "POST",
       headers: { "X-CSRF-Token": csrfToken },
       body: formData,
@@ -807,8 +1467,468 @@ async function handleDuplicate(workId) {
   }
 }
 
+// User management modal (owners)
+function initializeUsersModal() {
+  const { ROLES, ROLE_LABELS } = getPermissions();
+  document.getElementById("addUserRole").innerHTML = ROLES
+    .map((role) => `<option value="${role}"${role === "contributor" ? " selected" : ""}>${ROLE_LABELS[role]}</option>`)
+    .join("");
+
+  elements.usersBtn.addEventListener("click", openUsersModal);
+  document.getElementById("usersClose").addEventListener("click", closeUsersModal);
+  document.getElementById("addUserForm").addEventListener("submit", handleAddUser);
+  document.getElementById("usersModal").addEventListener("click", (e) => {
+    if (e.target.id === "usersModal") {
+      closeUsersModal();
+    }
+  });
+}
+
+// Open the users modal with a fresh list
+async function openUsersModal() {
+  showUsersError("");
+  document.getElementById("usersModal").classList.add("active");
+  await loadUsers();
+}
+
+function closeUsersModal() {
+  document.getElementById("usersModal").classList.remove("active");
+}
+
+// Show an error under the users table ("" hides it)
+function showUsersError(message) {
+  const errorEl = document.getElementById("usersError");
+  errorEl.textContent = message;
+  errorEl.hidden = !message;
+}
+
+// Load accounts from the API
+async function loadUsers() {
+  try {
+    renderUsers(await apiRequest("/users"));
+  } catch (error) {
+    showUsersError(error.message);
+  }
+}
+
+// Render Users Table (role selects save immediately)
+function renderUsers(users) {
+  const { escapeHtml } = getUtils();
+  const { ROLES, ROLE_LABELS } = getPermissions();
+
+  document.getElementById("usersBody").innerHTML = users.map((user) => {
+    const isSelf = user.username === currentUser.username;
+    const options = ROLES
+      .map((role) => `<option value="${role}"${role === user.role ? " selected" : ""}>${ROLE_LABELS[role]}</option>`)
+      .join("");
+    return `
+      <tr>
+        <td>${escapeHtml(user.username)}${isSelf ? " (you)" : ""}</td>
+        <td><select data-username="${escapeHtml(user.username)}" class="user-role-select">${options}</select></td>
+        <td>${isSelf ? "" : `<button class="btn btn-small btn-delete" data-username="${escapeHtml(user.username)}">Remove</button>`}</td>
+      </tr>
+    `;
+  }).join("");
+
+  document.querySelectorAll(".user-role-select").forEach((select) => {
+    select.addEventListener("change", () => handleRoleChange(select.dataset.username, select.value));
+  });
+  document.querySelectorAll("#usersBody .btn-delete").forEach((button) => {
+    button.addEventListener("click", () => handleRemoveUser(button.dataset.username));
+  });
+}
+
+// Add an account from the form under the table
+async function handleAddUser(e) {
+  e.preventDefault();
+  const form = e.target;
+  showUsersError("");
+  try {
+    await apiRequest("/users", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: form.username.value.trim(),
+        password: form.password.value,
+        role: form.role.value,
+      }),
+    });
+    form.reset();
+    form.role.value = "contributor";
+    await loadUsers();
+  } catch (error) {
+    showUsersError(error.message);
+  }
+}
+
+// Save a role change
+async function handleRoleChange(username, role) {
+  showUsersError("");
+  try {
+    await apiRequest(`/users/${encodeURIComponent(username)}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ role }),
+    });
+    // Changing your own role changes what you can do here
+    if (username === currentUser.username) {
+      window.location.reload();
+    }
+  } catch (error) {
+    showUsersError(error.message);
+  }
+  await loadUsers();
+}
+
+// Remove an account (not your own)
+async function handleRemoveUser(username) {
+  if (!confirm(`Remove user ${username}?`)) return;
+  showUsersError("");
+  try {
+    await apiRequest(`/users/${encodeURIComponent(username)}`, { method: "DELETE" });
+  } catch (error) {
+    showUsersError(error.message);
+  }
+  await loadUsers();
+}
+
+// Revision history modal (Revisions button in the works table)
+const REVISION_REASONS = {
+  create: "Created",
+  update: "Saved",
+  restore: "Rolled back",
+  baseline: "Before first tracked edit",
+};
+
+let revisionsWorkId = null;
+let selectedRevisionId = null;
+
+function initializeRevisionsModal() {
+  document.getElementById("revisionsClose").addEventListener("click", closeRevisionsModal);
+  document.getElementById("revisionRestore").addEventListener("click", handleRestoreRevision);
+  document.getElementById("revisionsModal").addEventListener("click", (e) => {
+    if (e.target.id === "revisionsModal") {
+      closeRevisionsModal();
+    }
+  });
+}
+
+// Open a work's revisions, comparing the one before the latest with the current version
+async function openRevisionsModal(workId) {
+  const work = works.find((w) => w.id === workId);
+  revisionsWorkId = workId;
+  selectedRevisionId = null;
+  document.getElementById("revisionsTitle").textContent = `Revisions: ${work ? work.title : workId}`;
+  document.getElementById("revisionList").innerHTML = "";
+  document.getElementById("revisionDiffBody").innerHTML = "";
+  document.getElementById("revisionRestore").hidden = !(work && canEditWork(work));
+  document.getElementById("revisionRestore").disabled = true;
+  showRevisionsError("");
+  document.getElementById("revisionsModal").classList.add("active");
+
+  try {
+    const revisions = await apiRequest(`/works/${encodeURIComponent(workId)}/revisions`);
+    renderRevisionList(revisions);
+    const initial = revisions[1] || revisions[0];
+    if (initial) await selectRevision(initial.id);
+  } catch (error) {
+    showRevisionsError(error.message);
+  }
+}
+
+function closeRevisionsModal() {
+  document.getElementById("revisionsModal").classList.remove("active");
+  revisionsWorkId = null;
+}
+
+// Show an error under the revisions ("" hides it)
+function showRevisionsError(message) {
+  const errorEl = document.getElementById("revisionsError");
+  errorEl.textContent = message;
+  errorEl.hidden = !message;
+}
+
+// Render Revision List (newest first)
+function renderRevisionList(revisions) {
+  const { escapeHtml } = getUtils();
+  const list = document.getElementById("revisionList");
+
+  if (revisions.length === 0) {
+    list.innerHTML = "<li>No revisions yet. One is kept every time the work is saved.</li>";
+    return;
+  }
+
+  list.innerHTML = revisions.map((revision) => `
+    <li>
+      <button type="button" data-revision-id="${escapeHtml(revision.id)}">
+        <span class="activity-time">${new Date(revision.timestamp).toLocaleString()}</span>
+        ${escapeHtml(REVISION_REASONS[revision.reason] || revision.reason)}${revision.actor ? ` by ${escapeHtml(revision.actor)}` : ""}
+      </button>
+    </li>
+  `).join("");
+
+  list.querySelectorAll("button").forEach((button) => {
+    button.addEventListener("click", () => selectRevision(button.dataset.revisionId));
+  });
+}
+
+// Show a revision side by side with the current version
+async function selectRevision(revisionId) {
+  const { escapeHtml } = getUtils();
+  selectedRevisionId = revisionId;
+  document.querySelectorAll("#revisionList button").forEach((button) => {
+    button.classList.toggle("active", button.dataset.revisionId === revisionId);
+  });
+  showRevisionsError("");
+
+  try {
+    const revision = await apiRequest(
+      `/works/${encodeURIComponent(revisionsWorkId)}/revisions/${encodeURIComponent(revisionId)}`,
+    );
+    document.getElementById("revisionColumn").textContent = new Date(revision.timestamp).toLocaleString();
+
+    const rows = revision.diff.filter((change) => change.path !== "schemaVersion");
+    document.getElementById("revisionDiffBody").innerHTML = rows.length === 0
+      ? '<tr><td colspan="3">Same as the current version</td></tr>'
+      : rows.map((change) => `
+        <tr>
+          <td>${escapeHtml(change.path)}</td>
+          <td class="diff-before">${escapeHtml(formatDiffValue(change.before))}</td>
+          <td class="diff-after">${escapeHtml(formatDiffValue(change.after))}</td>
+        </tr>
+      `).join("");
+    document.getElementById("revisionRestore").disabled = rows.length === 0;
+  } catch (error) {
+    showRevisionsError(error.message);
+  }
+}
+
+// Roll the work back to the selected revision
+async function handleRestoreRevision() {
+  if (!revisionsWorkId || !selectedRevisionId) return;
+  if (!confirm("Restore this revision? The current version stays in the history.")) return;
+
+  const work = works.find((w) => w.id === revisionsWorkId);
+  try {
+    await apiRequest(
+      `/works/${encodeURIComponent(revisionsWorkId)}/revisions/${encodeURIComponent(selectedRevisionId)}/restore`,
+      { method: "POST", headers: work ? { "If-Match": work.etag } : {} },
+    );
+    closeRevisionsModal();
+    showStatus("Revision restored", "success");
+    await loadWorks();
+  } catch (error) {
+    showRevisionsError(error.message);
+  }
+}
+
+// Trash modal (owners): restore or permanently delete removed works
+function initializeTrashModal() {
+  const { retentionDays } = getConfig().trash;
+  document.getElementById("trashHint").textContent = retentionDays
+    ? `Deleted works are permanently removed after ${retentionDays} days.`
+    : "Deleted works are kept until you remove them here.";
+
+  elements.trashBtn.addEventListener("click", openTrashModal);
+  document.getElementById("trashClose").addEventListener("click", closeTrashModal);
+  document.getElementById("trashModal").addEventListener("click", (e) => {
+    if (e.target.id === "trashModal") {
+      closeTrashModal();
+    }
+  });
+}
+
+async function openTrashModal() {
+  showTrashError("");
+  document.getElementById("trashModal").classList.add("active");
+  await loadTrash();
+}
+
+function closeTrashModal() {
+  document.getElementById("trashModal").classList.remove("active");
+}
+
+// Show an error under the trash table ("" hides it)
+function showTrashError(message) {
+  const errorEl = document.getElementById("trashError");
+  errorEl.textContent = message;
+  errorEl.hidden = !message;
+}
+
+async function loadTrash() {
+  try {
+    renderTrash(await apiRequest("/trash"));
+  } catch (error) {
+    showTrashError(error.message);
+  }
+}
+
+// Render Trash Table
+function renderTrash(entries) {
+  const { escapeHtml } = getUtils();
+  const body = document.getElementById("trashBody");
+
+  if (entries.length === 0) {
+    body.innerHTML = '<tr><td colspan="3">Trash is empty</td></tr>';
+    return;
+  }
+
+  body.innerHTML = entries.map((entry) => `
+    <tr>
+      <td>${escapeHtml(entry.title || entry.workId)}<br><span class="activity-time">${escapeHtml(entry.path)}</span></td>
+      <td>${new Date(entry.deletedAt).toLocaleString()}<br><span class="activity-time">by ${escapeHtml(entry.deletedBy)}</span></td>
+      <td class="trash-actions">
+        <button class="btn btn-small btn-edit" data-restore="${escapeHtml(entry.id)}">Restore</button>
+        <button class="btn btn-small btn-delete" data-purge="${escapeHtml(entry.id)}">Delete forever</button>
+      </td>
+    </tr>
+  `).join("");
+
+  body.querySelectorAll("[data-restore]").forEach((button) => {
+    button.addEventListener("click", () => handleRestoreTrash(button.dataset.restore));
+  });
+  body.querySelectorAll("[data-purge]").forEach((button) => {
+    button.addEventListener("click", () => handlePurgeTrash(button.dataset.purge));
+  });
+}
+
+// Put a deleted work back in the works list
+async function handleRestoreTrash(entryId) {
+  showTrashError("");
+  try {
+    await apiRequest(`/trash/${encodeURIComponent(entryId)}/restore`, { method: "POST" });
+    showStatus("Work restored", "success");
+    await loadWorks();
+  } catch (error) {
+    showTrashError(error.message);
+  }
+  await loadTrash();
+}
+
+// Remove a deleted work and its history for good
+async function handlePurgeTrash(entryId) {
+  if (!confirm("Permanently delete this work and its revision history? This cannot be undone.")) return;
+  showTrashError("");
+  try {
+    await apiRequest(`/trash/${encodeURIComponent(entryId)}`, { method: "DELETE" });
+  } catch (error) {
+    showTrashError(error.message);
+  }
+  await loadTrash();
+}
+
+// Activity panel (audit log), filtered by work and user
+const ACTION_LABELS = {
+  "work.create": "created",
+  "work.update": "edited",
+  "work.feature": "changed featured on",
+  "work.delete": "deleted",
+  "work.revert": "rolled back",
+  "work.restore": "restored from trash",
+  "work.purge": "permanently deleted",
+  build: "ran a build",
+  "user.create": "added user",
+  "user.update": "updated user",
+  "user.delete": "removed user",
+};
+
+// Users seen in the log (kept so the user filter lists everyone while filtered)
+const activityActors = new Set();
+
+function initializeActivityPanel() {
+  elements.activityWorkFilter.addEventListener("change", loadActivity);
+  elements.activityUserFilter.addEventListener("change", loadActivity);
+}
+
+// Load audit entries for the current filters
+async function loadActivity() {
+  if (!canDo("audit:read")) return;
+
+  const params = new URLSearchParams();
+  if (elements.activityWorkFilter.value) params.set("work", elements.activityWorkFilter.value);
+  if (elements.activityUserFilter.value) params.set("user", elements.activityUserFilter.value);
+
+  try {
+    const entries = await apiRequest(`/audit?${params}`);
+    entries.forEach((entry) => activityActors.add(entry.actor));
+    populateActivityFilters(entries);
+    renderActivity(entries);
+  } catch (error) {
+    elements.activityList.innerHTML = `<li>Error loading activity: ${getUtils().escapeHtml(error.message)}</li>`;
+  }
+}
+
+// Fill the work and user filters, keeping the current selection
+function populateActivityFilters(entries) {
+  const { escapeHtml } = getUtils();
+  const fill = (select, label, options) => {
+    const current = select.value;
+    select.innerHTML = `<option value="">${label}</option>` + options
+      .map(([value, text]) => `<option value="${escapeHtml(value)}">${escapeHtml(text)}</option>`)
+      .join("");
+    select.value = current;
+  };
+
+  // Works that no longer exist (deleted or renamed) stay selectable by id
+  const workOptions = new Map(works.map((work) => [work.id, work.title]));
+  entries.forEach((entry) => {
+    if (entry.workId && !workOptions.has(entry.workId)) workOptions.set(entry.workId, entry.workId);
+  });
+
+  fill(elements.activityWorkFilter, "All works", [...workOptions].sort((a, b) => a[1].localeCompare(b[1])));
+  fill(elements.activityUserFilter, "All users", [...activityActors].sort().map((actor) => [actor, actor]));
+}
+
+// Format a diff value for display (long values shortened)
+function formatDiffValue(value) {
+  if (value === undefined) return "(none)";
+  const text = JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+// Render Activity List (diffs collapsed)
+function renderActivity(entries) {
+  const { escapeHtml } = getUtils();
+  if (entries.length === 0) {
+    elements.activityList.innerHTML = "<li>No activity yet</li>";
+    return;
+  }
+
+  elements.activityList.innerHTML = entries.map((entry) => {
+    const work = entry.workId ? works.find((w) => w.id === entry.workId) : null;
+    const subject = entry.workId
+      ? (work ? work.title : entry.workId)
+      : (entry.details && entry.details.username) || "";
+    const diff = (entry.diff || [])
+      .map((change) => `${change.path}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`)
+      .join("\n");
+    const buildResult = entry.action === "build" && entry.details
+      ? (entry.details.success ? ` (${entry.details.workCount} works)` : ` (failed: ${entry.details.error})`)
+      : "";
+
+    return `
+      <li>
+        <span class="activity-time">${new Date(entry.timestamp).toLocaleString()}</span>
+        <strong>${escapeHtml(entry.actor)}</strong>
+        ${escapeHtml(ACTION_LABELS[entry.action] || entry.action)}
+        ${subject ? `<strong>${escapeHtml(subject)}</strong>` : ""}${escapeHtml(buildResult)}
+        ${diff ? `<details><summary>${entry.diff.length} change${entry.diff.length === 1 ? "" : "s"}</summary><div class="activity-diff">${escapeHtml(diff)}</div></details>` : ""}
+      </li>
+    `;
+  }).join("");
+}
+
+// Show one work's history (History button in the works table)
+function showWorkActivity(workId) {
+  elements.activityWorkFilter.value = workId;
+  loadActivity();
+  elements.activityPanel.scrollIntoView({ behavior: "smooth" });
+}
+
 // Export to global scope for inline onclick handlers
 window.openEditModal = openEditModal;
 window.handleDelete = handleDelete;
 window.handleDuplicate = handleDuplicate;
 window.toggleFeatured = toggleFeatured;
+window.showWorkActivity = showWorkActivity;
+window.openRevisionsModal = openRevisionsModal;
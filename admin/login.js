@@ -0,0 +1,36 @@
+// Admin login: starts a session, then returns to the admin interface
+
+document.getElementById("loginForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const errorEl = document.getElementById("loginError");
+  const submitBtn = form.querySelector("button[type=submit]");
+
+  errorEl.hidden = true;
+  submitBtn.disabled = true;
+
+  try {
+    const response = await fetch("/api/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: form.username.value.trim(),
+        password: form.password.value,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Sign in failed: ${response.status}`);
+    }
+
+    window.location.href = "/admin/";
+  } catch (error) {
+    errorEl.textContent = error.message;
+    errorEl.hidden = false;
+    form.password.value = "";
+    form.password.focus();
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
@@ -1,30 +1,136 @@
 const fs = require("fs");
 const path = require("path");
-const { getAllProjects, buildProjectData } = require("./shared/scanner");
+const { getAllProjects, buildWork, toPublicWork, sortWorks, validateProject } = require("./shared/scanner");
+const { formatValidationErrors } = require("./shared/schema");
+const { writeWorkPage, getSiteUrl } = require("./shared/pages");
+const { buildSearchIndex } = require("./shared/search");
+const { isWorkLive } = require("./shared/utils");
+const { createManifest, getBuildKey, hashProject, loadManifest, saveManifest } = require("./shared/manifest");
 
+const rootDir = __dirname;
 const worksDir = path.join(__dirname, "works");
 const outputFile = path.join(__dirname, "data.json");
+const searchIndexFile = path.join(__dirname, "search-index.json");
+const manifestFile = path.join(__dirname, ".build-manifest.json");
 
-function main() {
+// --strict: fail the build (without writing anything) when a meta.json is
+// invalid or no site URL is set
+const strict = process.argv.includes("--strict");
+// --full: ignore the build manifest and rebuild every project
+const full = process.argv.includes("--full");
+
+async function main() {
   console.log("Scanning for projects...");
 
-  const projects = getAllProjects(worksDir);
+  const projects = await getAllProjects(worksDir);
   console.log(`Found ${projects.length} projects`);
 
-  const allData = projects
-    .map(buildProjectData)
-    .filter((data) => data !== null);
+  // Check each meta.json against the schema
+  let invalidCount = 0;
+  for (const project of projects) {
+    const errors = validateProject(project);
+    if (errors.length === 0) continue;
+    invalidCount++;
+    console.warn(`\n${strict ? "Error" : "Warning"}: invalid ${path.relative(rootDir, project.metaPath)}`);
+    formatValidationErrors(errors).forEach((line) => console.warn(`  - ${line}`));
+  }
+  if (invalidCount > 0) {
+    if (strict) {
+      console.error(`\nBuild failed: ${invalidCount} invalid project(s)`);
+      process.exit(1);
+    }
+    console.warn(`\n${invalidCount} invalid project(s) (run with --strict to fail the build)`);
+  }
+
+  // Share previews (og:image, og:url) need absolute URLs
+  if (!getSiteUrl()) {
+    console.warn(
+      `\n${strict ? "Error" : "Warning"}: no site URL (CONFIG.site.url or SITE_URL), ` +
+        "work pages get relative share images and no og:url",
+    );
+    if (strict) {
+      console.error("\nBuild failed: no site URL");
+      process.exit(1);
+    }
+  }
+
+  // Rebuild only projects whose files changed since the last build
+  const buildKey = getBuildKey(rootDir);
+  const previous = full ? createManifest(buildKey) : loadManifest(manifestFile, buildKey);
+  const manifest = createManifest(buildKey);
+  const summary = { added: [], changed: [], removed: [], unchanged: 0, unpublished: [] };
+
+  const builtProjects = [];
+  for (const project of projects) {
+    const key = path.relative(worksDir, project.path).split(path.sep).join("/");
+    const cached = previous.projects[key];
+    const { files, hash } = hashProject(project.path, cached && cached.files);
+
+    if (cached && cached.hash === hash) {
+      builtProjects.push({ project, data: cached.data, publishing: cached.publishing, rebuilt: false });
+      manifest.projects[key] = cached;
+      summary.unchanged++;
+      continue;
+    }
+
+    const work = await buildWork(project, { placeholders: true });
+    if (work === null) continue;
+
+    const data = toPublicWork(work);
+    const publishing = { status: work.status, publishAt: work.publishAt };
+    builtProjects.push({ project, data, publishing, rebuilt: true });
+    manifest.projects[key] = { hash, files, data, publishing };
+    summary[cached ? "changed" : "added"].push(key);
+  }
+  summary.removed = Object.keys(previous.projects).filter((key) => !manifest.projects[key]);
 
-  // Sort by date (newest first)
-  allData.sort((a, b) => {
-    const dateA = new Date(a.date || 0);
-    const dateB = new Date(b.date || 0);
-    return dateB - dateA;
-  });
+  // Drafts, archived works and works scheduled for later stay off the site
+  // (checked on every build, so scheduled works appear once their time passes)
+  const now = new Date();
+  const liveProjects = builtProjects.filter(({ publishing }) => isWorkLive(publishing, now));
+  const hiddenProjects = builtProjects.filter((built) => !liveProjects.includes(built));
+  summary.unpublished = hiddenProjects.map(({ project, publishing }) =>
+    `${path.relative(worksDir, project.path).split(path.sep).join("/")} (${publishing.status})`
+  );
+  const allData = sortWorks(liveProjects.map(({ data }) => data));
 
   fs.writeFileSync(outputFile, JSON.stringify(allData, null, 2), "utf8");
   console.log(`\nData written to ${outputFile}`);
   console.log(`Total projects: ${allData.length}`);
+
+  // Compact full-text index for the Index search box
+  const searchIndex = buildSearchIndex(allData);
+  fs.writeFileSync(searchIndexFile, JSON.stringify(searchIndex), "utf8");
+  console.log(`Search index written: ${Object.keys(searchIndex.terms).length} terms`);
+
+  // Pre-render a static page for each new or changed work (works/<year>/<slug>/index.html)
+  let pageCount = 0;
+  for (const { project, data, rebuilt } of liveProjects) {
+    if (!rebuilt && fs.existsSync(path.join(project.path, "index.html"))) continue;
+    writeWorkPage(data, project.path, rootDir);
+    pageCount++;
+  }
+  console.log(`Work pages written: ${pageCount}`);
+
+  // Take down pages of works that are no longer live
+  for (const { project } of hiddenProjects) {
+    fs.rmSync(path.join(project.path, "index.html"), { force: true });
+  }
+
+  saveManifest(manifestFile, manifest);
+  printSummary(summary);
+}
+
+// Report what the build did per project
+function printSummary({ added, changed, removed, unchanged, unpublished }) {
+  console.log(`\nAdded: ${added.length}, changed: ${changed.length}, removed: ${removed.length}, unchanged: ${unchanged}`);
+  added.forEach((key) => console.log(`  + ${key}`));
+  changed.forEach((key) => console.log(`  ~ ${key}`));
+  removed.forEach((key) => console.log(`  - ${key}`));
+  if (unpublished.length > 0) {
+    console.log(`Not published: ${unpublished.length}`);
+    unpublished.forEach((entry) => console.log(`    ${entry}`));
+  }
 }
 
 main();
@@ -1,126 +1,217 @@
 #!/usr/bin/env node
 /**
- * Migration script to convert legacy work format to new content format
+ * Migrate every project's meta.json to the current schema version
  *
- * Legacy format:
- *   type: "image" | "video"
- *   images: ["image.jpg"] or [{src: "image.jpg", caption: "..."}]
- *   videoId: "youtube-id"
- *   info: "description text"
- *
- * New format:
- *   content: [
- *     { type: "image", src: "image.jpg", caption: "..." },
- *     { type: "video", videoId: "youtube-id" },
- *     { type: "text", text: "description" }
- *   ]
+ * Migrations live in shared/migrations (one module per version) and are
+ * applied in order from the version stamped in meta.json (schemaVersion).
+ * Before anything is written, the original meta.json (and any file a
+ * migration removes, such as imported video1.txt sidecars) is copied to
+ * .migration-backups/<run id>/ so a run can be rolled back.
  *
  * Run: node migrate-content.js
- * Add --dry-run to preview changes without writing
+ * Add --dry-run to print a diff of each change without writing
+ * Add --to <version> to migrate up or down to a specific version
+ * Add --status to list each project's schema version
+ * Add --rollback [run id] to restore the backups of the latest (or given) run
  */
 
 const fs = require('fs');
 const path = require('path');
-const { getImageSrc, getImageCaption } = require("./shared/utils");
+const { getAllProjects } = require('./shared/scanner');
+const { MIGRATIONS, CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateMeta } = require('./shared/migrations');
 
+const rootDir = __dirname;
 const worksDir = path.join(__dirname, 'works');
-const dryRun = process.argv.includes('--dry-run');
+const backupsDir = path.join(__dirname, '.migration-backups');
 
-function convertToNewFormat(meta) {
-  // Skip if already in new format
-  if (meta.content && Array.isArray(meta.content)) {
-    console.log('  Already in new format, skipping');
-    return null;
-  }
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
 
-  const content = [];
+// Value following a flag (e.g. --to 2), or null
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
+}
 
-  // Add video first if it's a video type
-  if (meta.type === 'video' && meta.videoId) {
-    content.push({ type: 'video', videoId: meta.videoId });
-  }
+function relativePath(filePath) {
+  return path.relative(rootDir, filePath).split(path.sep).join('/');
+}
 
-  // Add images
-  if (meta.images && Array.isArray(meta.images)) {
-    for (const img of meta.images) {
-      const src = getImageSrc(img);
-      const caption = getImageCaption(img);
-      const item = { type: 'image', src: src };
-      if (caption) item.caption = caption;
-      content.push(item);
+// Line diff of two texts (longest common subsequence), unchanged runs
+// shortened to a line of context on each side
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
   }
 
-  // Add info as text block
-  if (meta.info && meta.info.trim()) {
-    content.push({ type: 'text', text: meta.info.trim() });
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push({ op: '+', text: b[j++] });
+    } else {
+      lines.push({ op: '-', text: a[i++] });
+    }
   }
 
-  // Build new meta object (remove legacy fields)
-  const newMeta = {
-    title: meta.title || '',
-    client: meta.client || '',
-    industry: meta.industry || '',
-    contribution: meta.contribution || '',
-    date: meta.date || '',
-    style: meta.style || '',
-    software: meta.software || '',
-    featured: meta.featured || false,
-    content: content
-  };
-
-  return newMeta;
+  const isNearChange = (index) => [index - 1, index, index + 1]
+    .some(k => lines[k] && lines[k].op !== ' ');
+  const output = [];
+  lines.forEach((line, index) => {
+    if (isNearChange(index)) output.push(`${line.op} ${line.text}`);
+    else if (output[output.length - 1] !== '  ...') output.push('  ...');
+  });
+  return output.join('\n');
 }
 
-function processDirectory(dir) {
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-  let count = 0;
+// Write a run's manifest (through a temporary file, so it is never half written)
+function writeManifest(runDir, manifest) {
+  const manifestPath = path.join(runDir, 'manifest.json');
+  fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+}
 
-  for (const entry of entries) {
-    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+// Migrate all projects to a version, backing up what changes
+async function runMigrations(targetVersion) {
+  const runId = new Date().toISOString().replace(/[:.]/g, '-');
+  const runDir = path.join(backupsDir, runId);
+  const manifest = { id: runId, to: targetVersion, projects: [] };
+  const projects = await getAllProjects(worksDir);
+  let changed = 0;
+  let failed = 0;
+
+  for (const project of projects) {
+    const name = relativePath(project.path);
+    try {
+      const original = fs.readFileSync(project.metaPath, 'utf8');
+      const meta = JSON.parse(original);
+      const log = (message) => console.log(`  ${message}`);
+      const from = getSchemaVersion(meta);
+
+      // Already there (and stamped, unless it is the unstamped legacy format)
+      if (from === targetVersion && (targetVersion === 0 || meta.schemaVersion === targetVersion)) continue;
+
+      console.log(`${name} (version ${from} -> ${targetVersion})`);
+      const result = migrateMeta(meta, project.path, { to: targetVersion, log });
+      const updated = JSON.stringify(result.meta, null, 2);
+      changed++;
+
+      if (dryRun) {
+        if (updated !== original) console.log(diffLines(original, updated));
+        result.removeFiles.forEach(file => console.log(`  Would remove ${file}`));
+        continue;
+      }
 
-    const entryPath = path.join(dir, entry.name);
-    const metaPath = path.join(entryPath, 'meta.json');
+      // Back up meta.json and every file about to be removed
+      const projectBackupDir = path.join(runDir, path.relative(worksDir, project.path));
+      fs.mkdirSync(projectBackupDir, { recursive: true });
+      const files = ['meta.json', ...result.removeFiles];
+      files.forEach(file => fs.copyFileSync(path.join(project.path, file), path.join(projectBackupDir, file)));
+      manifest.projects.push({ path: relativePath(project.path), from, to: targetVersion, files });
+      // Recorded before the project is touched, so a run that stops part way can be rolled back
+      writeManifest(runDir, manifest);
+
+      fs.writeFileSync(project.metaPath, updated);
+      result.removeFiles.forEach(file => {
+        fs.unlinkSync(path.join(project.path, file));
+        console.log(`  Removed ${file}`);
+      });
+      console.log(`  Updated meta.json (applied ${result.applied.join(', ') || 'version stamp'})`);
+    } catch (err) {
+      console.error(`${name}\n  Error: ${err.message}`);
+      failed++;
+    }
+  }
 
-    if (fs.existsSync(metaPath)) {
-      // This is a project folder
-      console.log(`Processing: ${entryPath}`);
+  if (!dryRun && manifest.projects.length > 0) {
+    console.log(`\nBackups written to ${relativePath(runDir)}`);
+    console.log(`Undo with: node migrate-content.js --rollback ${runId}`);
+  }
 
-      try {
-        const metaContent = fs.readFileSync(metaPath, 'utf8');
-        const meta = JSON.parse(metaContent);
+  console.log(`\nMigration complete. ${changed} of ${projects.length} projects ${dryRun ? 'would be ' : ''}updated, ${failed} failed.`);
+  if (dryRun) console.log('Run without --dry-run to apply changes.');
+  if (failed > 0) process.exitCode = 1;
+}
 
-        const newMeta = convertToNewFormat(meta);
+// Restore meta.json and removed files from a run's backups
+function rollback(runId) {
+  const runs = fs.existsSync(backupsDir)
+    ? fs.readdirSync(backupsDir).filter(name => fs.existsSync(path.join(backupsDir, name, 'manifest.json'))).sort()
+    : [];
+  const id = runId || runs[runs.length - 1];
+  if (!id || !runs.includes(id)) {
+    console.error(runId ? `No migration backup named ${runId}` : 'No migration backups to roll back');
+    process.exitCode = 1;
+    return;
+  }
 
-        if (newMeta) {
-          console.log(`  Content items: ${newMeta.content.length}`);
+  const runDir = path.join(backupsDir, id);
+  const manifest = JSON.parse(fs.readFileSync(path.join(runDir, 'manifest.json'), 'utf8'));
+  console.log(`Rolling back migration run ${id}${dryRun ? ' (dry run)' : ''}`);
 
-          if (!dryRun) {
-            fs.writeFileSync(metaPath, JSON.stringify(newMeta, null, 2));
-            console.log('  Updated meta.json');
-          } else {
-            console.log('  Would update meta.json (dry run)');
-          }
-          count++;
-        }
-      } catch (err) {
-        console.error(`  Error: ${err.message}`);
+  for (const entry of manifest.projects) {
+    const projectPath = path.join(rootDir, entry.path);
+    if (!fs.existsSync(projectPath)) {
+      console.error(`${entry.path}\n  Error: project folder no longer exists, skipping`);
+      continue;
+    }
+    console.log(`${entry.path} (version ${entry.to} -> ${entry.from})`);
+    for (const file of entry.files) {
+      if (!dryRun) {
+        fs.copyFileSync(path.join(runDir, path.relative(worksDir, projectPath), file), path.join(projectPath, file));
       }
-    } else {
-      // Recurse into subdirectory (year folders)
-      count += processDirectory(entryPath);
+      console.log(`  ${dryRun ? 'Would restore' : 'Restored'} ${file}`);
     }
   }
 
-  return count;
+  if (!dryRun) {
+    fs.rmSync(runDir, { recursive: true, force: true });
+    console.log(`\nRollback complete. Removed ${relativePath(runDir)}`);
+  }
 }
 
-console.log('Migration: Converting legacy format to new content format');
-console.log(`Works directory: ${worksDir}`);
-if (dryRun) console.log('DRY RUN - no files will be modified\n');
-else console.log('');
-
-const count = processDirectory(worksDir);
+// List each project's schema version
+async function printStatus() {
+  console.log(`Current schema version: ${CURRENT_SCHEMA_VERSION}`);
+  MIGRATIONS.forEach(m => console.log(`  ${m.version}. ${m.description}${m.down ? '' : ' (not reversible)'}`));
+  console.log('');
+
+  for (const project of await getAllProjects(worksDir)) {
+    try {
+      const version = getSchemaVersion(JSON.parse(fs.readFileSync(project.metaPath, 'utf8')));
+      const state = version < CURRENT_SCHEMA_VERSION ? 'outdated' : 'current';
+      console.log(`${String(version).padStart(3)}  ${state.padEnd(8)}  ${relativePath(project.path)}`);
+    } catch (err) {
+      console.log(`  ?  error     ${relativePath(project.path)} (${err.message})`);
+    }
+  }
+}
 
-console.log(`\nMigration complete. ${count} files ${dryRun ? 'would be ' : ''}updated.`);
-if (dryRun) console.log('Run without --dry-run to apply changes.');
+if (args.includes('--status')) {
+  printStatus();
+} else if (args.includes('--rollback')) {
+  rollback(getArgValue('--rollback'));
+} else {
+  const to = getArgValue('--to');
+  const targetVersion = to === null ? CURRENT_SCHEMA_VERSION : Number(to);
+  if (!Number.isInteger(targetVersion) || targetVersion < 0 || targetVersion > CURRENT_SCHEMA_VERSION) {
+    console.error(`--to must be a schema version between 0 and ${CURRENT_SCHEMA_VERSION}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`Migration: meta.json to schema version ${targetVersion}`);
+    console.log(`Works directory: ${worksDir}`);
+    if (dryRun) console.log('DRY RUN - no files will be modified');
+    console.log('');
+    runMigrations(targetVersion);
+  }
+}
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Backfill responsive image variants for existing works
+ *
+ * For every image item (and comparison side) in a project's meta.json content
+ * array, writes resized copies (CONFIG.images.widths) in each configured format
+ * next to the original and records them on the item:
+ *
+ *   { type: "image", src: "image.jpg", width: 3000, height: 2000,
+ *     variants: [{ src: "image-480w.avif", width: 480, format: "avif" }, ...] }
+ *
+ * New uploads get their variants from the server; this script covers images
+ * added before the pipeline existed or dropped into works/ by hand.
+ *
+ * Run: node optimize-images.js
+ * Add --dry-run to list the images that would be processed
+ * Add --force to regenerate variants that already exist
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getAllProjects } = require("./shared/scanner");
+const { canGenerateVariants, generateImageVariants } = require("./shared/images");
+
+const worksDir = path.join(__dirname, "works");
+const dryRun = process.argv.includes("--dry-run");
+const force = process.argv.includes("--force");
+
+async function processProject(project) {
+  const meta = JSON.parse(fs.readFileSync(project.metaPath, "utf8"));
+
+  if (!Array.isArray(meta.content)) {
+    console.log("  Legacy format, run migrate-content.js first");
+    return 0;
+  }
+
+  let count = 0;
+  const images = meta.content.flatMap((item) => {
+    if (item.type === "image") return [item];
+    if (item.type === "comparison") return [item.before, item.after];
+    return [];
+  });
+
+  for (const item of images) {
+    if (!item || !item.src) continue;
+    if (item.variants && !force) continue;
+
+    const imagePath = path.join(project.path, item.src);
+    if (!fs.existsSync(imagePath)) {
+      console.log(`  Missing image: ${item.src}`);
+      continue;
+    }
+    if (!canGenerateVariants(item.src)) {
+      console.log(`  Unsupported format, skipping: ${item.src}`);
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`  Would generate variants for ${item.src} (dry run)`);
+    } else {
+      Object.assign(item, await generateImageVariants(imagePath));
+      console.log(`  ${item.src}: ${item.variants.length} variants`);
+    }
+    count++;
+  }
+
+  if (count > 0 && !dryRun) {
+    fs.writeFileSync(project.metaPath, JSON.stringify(meta, null, 2));
+    console.log("  Updated meta.json");
+  }
+
+  return count;
+}
+
+async function main() {
+  console.log("Optimize images: generating responsive variants");
+  console.log(`Works directory: ${worksDir}`);
+  if (dryRun) console.log("DRY RUN - no files will be modified\n");
+  else console.log("");
+
+  const projects = await getAllProjects(worksDir);
+  let count = 0;
+
+  for (const project of projects) {
+    console.log(`Processing: ${project.path}`);
+    try {
+      count += await processProject(project);
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+    }
+  }
+
+  console.log(`\nDone. ${count} images ${dryRun ? "would be " : ""}processed.`);
+  if (dryRun) console.log("Run without --dry-run to apply changes.");
+}
+
+main();
@@ -1,6 +1,8 @@
-// Shared modules (loaded via shared/utils.js and shared/config.js)
+// Shared modules (loaded via shared/utils.js, shared/config.js, shared/renderer.js and shared/search.js)
 const utils = () => window.PortfolioUtils;
 const config = () => window.PortfolioConfig;
+const renderer = () => window.PortfolioRenderer;
+const search = () => window.PortfolioSearch;
 
 // Category definitions for landing page
 const CATEGORIES = [
@@ -13,7 +15,10 @@ const CATEGORIES = [
 // Organized state
 const state = {
   works: { all: [], filtered: [] },
-  filters: {},
+  filters: {}, // { [field]: { include: [values], exclude: [values] } }
+  filterMode: "all", // "all" (AND) or "any" (OR) across fields
+  view: { layout: "table", sort: null }, // Index layout; sort is { key, desc } or null for data order
+  search: { query: "", index: null, matches: new Map() },
   modal: { list: [], index: 0 },
   landing: { index: 0 },
   category: { current: null, works: [], index: 0 },
@@ -38,34 +43,20 @@ function getPrimaryImageSrc(work) {
   return primary.type === "image" ? primary.src : "";
 }
 
-// Helper: Build meta item HTML for work details (unified for modal and carousel)
-function buildMetaItem(label, key, value) {
-  const values = utils().getMultiValues(value);
-  if (values.length === 0) return "";
-  const valueSpans = values.map((v) => {
-    const escaped = v.replace(/"/g, '&quot;');
-    return `<span class="meta-value" data-filter-key="${key}" data-filter-value="${escaped}">${v}</span>`;
-  }).join("");
-  return `<div class="meta-item"><span class="meta-label">${label}</span>${valueSpans}</div>`;
-}
-
 // Helper: Attach filter click handlers to meta values within a container
+// (Alt-click excludes the value instead)
 function attachFilterHandlers(container) {
   container.querySelectorAll(".meta-value, .filter-value").forEach(el => {
     el.addEventListener("click", (e) => {
       e.stopPropagation();
-      addFilter(el.dataset.filterKey, el.dataset.filterValue);
+      addFilter(el.dataset.filterKey, el.dataset.filterValue, e.altKey);
     });
   });
 }
 
-// Helper: Build all meta HTML for a work
+// Helper: Build all meta HTML for a work (unified for modal and carousel)
 function buildMetaHTML(work, config) {
-  return buildMetaItem(config.fieldLabels.client, "client", work.client) +
-    buildMetaItem(config.fieldLabels.contribution, "contribution", work.contribution) +
-    buildMetaItem(config.fieldLabels.date, "date", work.date) +
-    buildMetaItem(config.fieldLabels.style, "style", work.style) +
-    buildMetaItem(config.fieldLabels.software, "software", work.software);
+  return renderer().renderMetaHTML(work, config);
 }
 
 // Helper: Collapse details panel with animation (reusable)
@@ -95,14 +86,86 @@ function findWorkBySlug(slug) {
   return state.works.all.findIndex((work) => utils().slugify(work.title) === slug);
 }
 
-// Update URL without reload
-function updateURL(params = {}) {
+// Update URL without reload (replace instead of push for as-you-type updates)
+function updateURL(params = {}, replace = false) {
   const url = new URL(window.location);
   url.search = "";
   Object.entries(params).forEach(([key, value]) => {
-    if (value) url.searchParams.set(key, value);
+    [].concat(value).forEach((v) => {
+      if (v) url.searchParams.append(key, v);
+    });
+  });
+  if (replace) {
+    window.history.replaceState({}, "", url);
+  } else {
+    window.history.pushState({}, "", url);
+  }
+}
+
+// URL params describing the Index list. Each filter value is its own param,
+// excluded values are prefixed with "!" (e.g. ?software=Houdini&software=Nuke&industry=!Personal)
+function getListParams() {
+  const params = {};
+  Object.entries(state.filters).forEach(([key, { include, exclude }]) => {
+    params[key] = [...include, ...exclude.map((value) => `!${value}`)];
   });
-  window.history.pushState({}, "", url);
+  params.match = state.filterMode === "any" ? "any" : "";
+  params.q = state.search.query;
+  params.layout = state.view.layout;
+  params.sort = encodeSort(state.view.sort);
+  return params;
+}
+
+// Sort <-> URL/localStorage string ("title", "-date" for descending)
+function encodeSort(sort) {
+  return sort ? `${sort.desc ? "-" : ""}${sort.key}` : "";
+}
+
+function decodeSort(value) {
+  if (!value) return null;
+  const key = value.replace(/^-/, "");
+  if (!config().index.sortFields.some((field) => field.key === key)) return null;
+  return { key, desc: value.startsWith("-") };
+}
+
+// Index view (layout and sort) from the URL, falling back to the last one used
+function readIndexView(params) {
+  const { layouts, defaultLayout } = config().index;
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem("indexView")) || {};
+  } catch (error) {
+    // Ignore unreadable preferences
+  }
+
+  const layout = params.get("layout") || saved.layout;
+  return {
+    layout: layouts.some((l) => l.key === layout) ? layout : defaultLayout,
+    sort: decodeSort(params.has("sort") ? params.get("sort") : saved.sort),
+  };
+}
+
+// Change the Index layout and/or sort, remembering it for next time
+function setIndexView(changes) {
+  state.view = { ...state.view, ...changes };
+  localStorage.setItem("indexView", JSON.stringify({
+    layout: state.view.layout,
+    sort: encodeSort(state.view.sort),
+  }));
+  applyFilters();
+  updateURL(getListParams(), true);
+}
+
+// Column header click: sort ascending, then descending, then back to data order
+function cycleSort(key) {
+  const { sort } = state.view;
+  if (!sort || sort.key !== key) {
+    setIndexView({ sort: { key, desc: false } });
+  } else if (!sort.desc) {
+    setIndexView({ sort: { key, desc: true } });
+  } else {
+    setIndexView({ sort: null });
+  }
 }
 
 // Parse URL parameters
@@ -116,10 +179,22 @@ function parseURL() {
 
   const filters = {};
   config().filterFields.forEach(({ key }) => {
-    if (params.has(key)) filters[key] = params.get(key);
+    const values = params.getAll(key).filter(Boolean);
+    if (values.length === 0) return;
+    filters[key] = {
+      include: values.filter((value) => !value.startsWith("!")),
+      exclude: values.filter((value) => value.startsWith("!")).map((value) => value.slice(1)),
+    };
   });
 
-  return { type: "section", section: window.location.hash.slice(1) || "portfolio", filters };
+  return {
+    type: "section",
+    section: window.location.hash.slice(1) || "portfolio",
+    filters,
+    filterMode: params.get("match") === "any" ? "any" : "all",
+    query: params.get("q") || "",
+    view: readIndexView(params),
+  };
 }
 
 // Apply state from URL on load
@@ -131,10 +206,12 @@ function applyURLState() {
     state.modal.list = state.works.all;
     setTimeout(() => openModal(urlState.index), 100);
   } else {
-    if (Object.keys(urlState.filters).length > 0) {
-      state.filters = urlState.filters;
-      applyFilters();
-    }
+    state.filters = urlState.filters;
+    state.filterMode = urlState.filterMode;
+    state.search.query = urlState.query;
+    state.view = urlState.view;
+    document.getElementById("searchInput").value = urlState.query;
+    applyFilters();
     if (urlState.section) {
       switchSection(urlState.section);
     }
@@ -175,80 +252,232 @@ async function loadData() {
   try {
     const response = await fetch("data.json");
     state.works.all = await response.json();
-    state.works.filtered = [...state.works.all];
-    renderTable();
+    state.view = readIndexView(new URLSearchParams(window.location.search));
+    populateSortSelect();
+    applyFilters();
     initializeCategoryLanding();
     populateFilterDropdown();
+    await loadSearchIndex();
     applyURLState();
   } catch (error) {
     console.error("Error loading data:", error);
   }
 }
 
-// Format multi-value field as clickable filter bubbles
-function formatAsFilterBubbles(value, filterKey) {
+// Reload data.json after the dev server rebuilt it (live reload), keeping the
+// current filters, search and open work
+async function refreshData() {
+  try {
+    const response = await fetch("data.json", { cache: "no-cache" });
+    state.works.all = await response.json();
+    populateFilterDropdown();
+    await loadSearchIndex();
+    applyURLState();
+  } catch (error) {
+    console.error("Error refreshing data:", error);
+  }
+}
+
+// Load the prebuilt search index, or build one from data.json when it is
+// missing or out of date (e.g. data.json edited without a full build)
+async function loadSearchIndex() {
+  const { SEARCH_INDEX_VERSION, buildSearchIndex } = search();
+  try {
+    const response = await fetch("search-index.json", { cache: "no-cache" });
+    if (response.ok) {
+      const index = await response.json();
+      if (index.version === SEARCH_INDEX_VERSION && index.ids.length === state.works.all.length) {
+        state.search.index = index;
+        return;
+      }
+    }
+  } catch (error) {
+    console.warn("Search index unavailable, building in browser:", error);
+  }
+  state.search.index = buildSearchIndex(state.works.all);
+}
+
+// Update the search query (debounced from the search box)
+function setSearchQuery(query) {
+  state.search.query = query.trim();
+  applyFilters();
+  updateURL(getListParams(), true);
+}
+
+// Format multi-value field as clickable filter bubbles (search terms highlighted)
+function formatAsFilterBubbles(value, filterKey, terms = []) {
   const values = utils().getMultiValues(value);
   if (values.length === 0) return "";
   return values
-    .map((v) => `<span class="filter-value" data-filter-key="${filterKey}" data-filter-value="${v.replace(/"/g, '&quot;')}">${v}</span>`)
+    .map((v) => `<span class="filter-value" data-filter-key="${filterKey}" data-filter-value="${v.replace(/"/g, '&quot;')}">${search().highlightTerms(v, terms)}</span>`)
     .join(" ");
 }
 
-// Render the main table
-function renderTable() {
-  const table = document.getElementById("worksTable");
-  if (!table) return;
+// Year of a work for sorting and timeline grouping ("" when undated)
+function getWorkYear(work) {
+  const match = (work.date || "").toString().match(/\d{4}/);
+  return match ? match[0] : "";
+}
+
+// Compare two works on an Index column (empty values always last)
+function compareWorks(a, b, key, desc) {
+  const valueA = key === "date" ? getWorkYear(a) : (a[key] || "").toString();
+  const valueB = key === "date" ? getWorkYear(b) : (b[key] || "").toString();
+  if (!valueA || !valueB) return !valueA - !valueB;
+  const order = valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: "base" });
+  return desc ? -order : order;
+}
+
+// Order works for the current Index view. The timeline keeps years together
+// (newest first unless sorted by year), sorting within each year.
+function sortWorks(works) {
+  const { layout, sort } = state.view;
+  if (!sort && layout !== "timeline") return works;
+
+  const yearDesc = sort && sort.key === "date" ? sort.desc : true;
+  return [...works].sort((a, b) => {
+    if (layout === "timeline") {
+      const byYear = compareWorks(a, b, "date", yearDesc);
+      if (byYear !== 0) return byYear;
+    }
+    return sort ? compareWorks(a, b, sort.key, sort.desc) : 0;
+  });
+}
+
+// Fill the sort dropdown from the configured sortable columns
+function populateSortSelect() {
+  const select = document.getElementById("sortSelect");
+  if (!select) return;
+
+  select.innerHTML = '<option value="">Default order</option>';
+  config().index.sortFields.forEach((field) => {
+    [false, true].forEach((desc) => {
+      const option = document.createElement("option");
+      option.value = encodeSort({ key: field.key, desc });
+      option.textContent = `${field.label} ${desc ? "↓" : "↑"}`;
+      select.appendChild(option);
+    });
+  });
+}
+
+// Reflect the current layout and sort in the Index controls
+function renderIndexControls() {
+  document.querySelectorAll(".layout-btn").forEach((btn) => {
+    btn.setAttribute("aria-pressed", btn.dataset.layout === state.view.layout);
+  });
+  const sortSelect = document.getElementById("sortSelect");
+  if (sortSelect) sortSelect.value = encodeSort(state.view.sort);
+}
 
-  // Add table header for desktop list view
-  table.innerHTML = `
-    <div class="table-header">
-      <span>Title</span>
-      <span>Client</span>
-      <span>Role</span>
-      <span>Software</span>
-      <span>Year</span>
+// Build the sortable column header for the table layout
+function createTableHeader() {
+  const header = document.createElement("div");
+  header.className = "table-header";
+  const { sort } = state.view;
+
+  config().index.sortFields.forEach((field) => {
+    const active = sort && sort.key === field.key;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `sort-header${active ? " active" : ""}`;
+    button.dataset.sort = field.key;
+    button.setAttribute("aria-sort", active ? (sort.desc ? "descending" : "ascending") : "none");
+    button.innerHTML = `${field.label}<span class="sort-indicator">${active ? (sort.desc ? "↓" : "↑") : ""}</span>`;
+    button.addEventListener("click", () => cycleSort(field.key));
+    header.appendChild(button);
+  });
+
+  return header;
+}
+
+// Build an Index entry (table row, grid card or timeline entry share markup)
+function createIndexCard(work, filteredIndex) {
+  const row = document.createElement("div");
+  row.className = "index-card";
+  const terms = state.search.matches.get(work.id) || [];
+  const snippet = search().getSearchSnippet(work, terms);
+
+  const { escapeHtml } = utils();
+  const primaryMedia = utils().getPrimaryMedia(work);
+  let thumbnailHTML = '<div class="no-image"></div>';
+  if (primaryMedia.type === "image") {
+    thumbnailHTML = renderer().renderImage(primaryMedia, { alt: work.title, sizes: config().images.sizes.thumbnail });
+  } else if (primaryMedia.type === "video" && primaryMedia.thumbnail) {
+    thumbnailHTML = `<img src="${escapeHtml(primaryMedia.thumbnail)}" alt="${escapeHtml(work.title)}">`;
+  } else if (primaryMedia.type === "localVideo" && primaryMedia.poster) {
+    thumbnailHTML = `<img src="${escapeHtml(primaryMedia.poster)}" alt="${escapeHtml(work.title)}">`;
+  }
+
+  row.innerHTML = `
+    <div class="index-card-image">
+      ${thumbnailHTML}
+    </div>
+    <div class="index-card-content">
+      <h3 class="index-card-title">${search().highlightTerms(work.title, terms)}</h3>
+      <div class="index-card-meta">
+        <div class="index-card-row"><span class="index-card-label">Client:</span> <span class="index-card-value">${work.client ? formatAsFilterBubbles(work.client, "client", terms) : '—'}</span></div>
+        <div class="index-card-row"><span class="index-card-label">Role:</span> <span class="index-card-value">${work.contribution ? formatAsFilterBubbles(work.contribution, "contribution", terms) : '—'}</span></div>
+        <div class="index-card-row"><span class="index-card-label">Software:</span> <span class="index-card-value">${work.software ? formatAsFilterBubbles(work.software, "software", terms) : '—'}</span></div>
+        <div class="index-card-row"><span class="index-card-label">Year:</span> <span class="index-card-value">${work.date ? formatAsFilterBubbles(work.date, "date", terms) : '—'}</span></div>
+      </div>
+      ${snippet ? `<p class="index-card-snippet">${snippet}</p>` : ""}
+      <div class="index-card-footer">See more</div>
     </div>
   `;
 
-  state.works.filtered.forEach((work, filteredIndex) => {
-    const row = document.createElement("div");
-    row.className = "index-card";
-
-    const primaryMedia = utils().getPrimaryMedia(work);
-    let thumbnailSrc = "";
-    if (primaryMedia.type === "image") {
-      thumbnailSrc = primaryMedia.src;
-    } else if (primaryMedia.type === "video") {
-      thumbnailSrc = primaryMedia.thumbnail;
+  // Click row to open modal (filter bubbles handled separately)
+  row.addEventListener("click", (e) => {
+    if (!e.target.classList.contains("filter-value")) {
+      openModal(filteredIndex, true);
     }
+  });
 
-    row.innerHTML = `
-      <div class="index-card-image">
-        ${thumbnailSrc ? `<img src="${thumbnailSrc}" alt="${work.title}">` : '<div class="no-image"></div>'}
-      </div>
-      <div class="index-card-content">
-        <h3 class="index-card-title">${work.title}</h3>
-        <div class="index-card-meta">
-          <div class="index-card-row"><span class="index-card-label">Client:</span> <span class="index-card-value">${work.client ? formatAsFilterBubbles(work.client, "client") : '—'}</span></div>
-          <div class="index-card-row"><span class="index-card-label">Role:</span> <span class="index-card-value">${work.contribution ? formatAsFilterBubbles(work.contribution, "contribution") : '—'}</span></div>
-          <div class="index-card-row"><span class="index-card-label">Software:</span> <span class="index-card-value">${work.software ? formatAsFilterBubbles(work.software, "software") : '—'}</span></div>
-          <div class="index-card-row"><span class="index-card-label">Year:</span> <span class="index-card-value">${work.date ? formatAsFilterBubbles(work.date, "date") : '—'}</span></div>
-        </div>
-        <div class="index-card-footer">See more</div>
-      </div>
-    `;
+  // Attach filter handlers to bubbles
+  attachFilterHandlers(row);
 
-    // Click row to open modal (filter bubbles handled separately)
-    row.addEventListener("click", (e) => {
-      if (!e.target.classList.contains("filter-value")) {
-        openModal(filteredIndex, true);
-      }
-    });
+  return row;
+}
 
-    // Attach filter handlers to bubbles
-    attachFilterHandlers(row);
+// Render the Index in the current layout (table, grid or timeline)
+function renderTable() {
+  const table = document.getElementById("worksTable");
+  if (!table) return;
+
+  const { layout } = state.view;
+  table.parentElement.className = `works-table layout-${layout}`;
+  table.innerHTML = "";
+  renderIndexControls();
+
+  // Column header (click to sort) for the table layout
+  if (layout === "table") {
+    table.appendChild(createTableHeader());
+  }
+
+  if (state.works.filtered.length === 0 && state.search.query) {
+    const empty = document.createElement("div");
+    empty.className = "index-empty";
+    empty.textContent = `No works match "${state.search.query}"`;
+    table.appendChild(empty);
+  }
+
+  // Timeline: consecutive works of the same year share a group
+  let group = null;
+  state.works.filtered.forEach((work, filteredIndex) => {
+    const card = createIndexCard(work, filteredIndex);
+    if (layout !== "timeline") {
+      table.appendChild(card);
+      return;
+    }
 
-    table.appendChild(row);
+    const year = getWorkYear(work) || "Undated";
+    if (!group || group.dataset.year !== year) {
+      group = document.createElement("div");
+      group.className = "timeline-group";
+      group.dataset.year = year;
+      group.innerHTML = `<h3 class="timeline-year">${year}</h3><div class="timeline-items"></div>`;
+      table.appendChild(group);
+    }
+    group.querySelector(".timeline-items").appendChild(card);
   });
 }
 
@@ -339,6 +568,8 @@ function initializeLandingCarousel() {
   // Keyboard
   document.addEventListener("keydown", (e) => {
     if (landing.classList.contains("hidden")) return;
+    // Leave keys alone while typing (e.g. in the Index search box)
+    if (e.target.matches("input, textarea, select")) return;
 
     if (e.key === "ArrowLeft") {
       e.preventDefault();
@@ -591,6 +822,9 @@ function initializeCategoryLanding() {
 
   // Keyboard navigation
   document.addEventListener("keydown", (e) => {
+    // Arrow keys on a comparison slider move the slider, not the carousel
+    if (e.target.classList?.contains("comparison-range")) return;
+
     const categoryView = document.getElementById("categoryView");
     if (!categoryView.classList.contains("hidden")) {
       if (e.key === "ArrowLeft") {
@@ -647,11 +881,17 @@ function openCategory(category, displayName) {
     // Prefer image when available, otherwise show video
     const primaryMedia = utils().getPrimaryMedia(work);
     if (primaryMedia.type === "image") {
-      mediaHTML = `<img src="${primaryMedia.src}" alt="${work.title}">`;
+      mediaHTML = renderer().renderImage(primaryMedia, {
+        alt: work.title,
+        sizes: config().images.sizes.carousel,
+        maxHeight: "70vh",
+      });
+    } else if (primaryMedia.type === "localVideo") {
+      mediaHTML = renderer().renderLocalVideo(primaryMedia);
     } else if (primaryMedia.type === "video") {
       mediaHTML = `
         <div class="video-container">
-          <iframe src="https://www.youtube.com/embed/${primaryMedia.videoId}" allowfullscreen></iframe>
+          <iframe src="${utils().escapeHtml(primaryMedia.embedUrl)}" allowfullscreen></iframe>
           <div class="video-swipe-overlay"></div>
         </div>
       `;
@@ -680,42 +920,45 @@ function openCategory(category, displayName) {
     });
   });
 
-  // Preload first image then show
-  if (state.category.works.length > 0) {
-    const firstWork = state.category.works[0];
-    const primaryMedia = utils().getPrimaryMedia(firstWork);
-    const displayImage = primaryMedia.type === "image" ? primaryMedia.src : (primaryMedia.thumbnail || "");
-
-    const img = new Image();
-    img.onload = img.onerror = () => {
-      // Reset scroll position before showing to prevent jump
-      window.scrollTo(0, 0);
-      track.classList.add("preparing");
-      landing.classList.add("hidden");
-      view.classList.remove("hidden");
-      loader.classList.add("hidden");
-      // Wait for layout to complete before positioning (no animation on initial load)
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-          updateCarouselPosition(false);
-          requestAnimationFrame(() => {
-            track.classList.remove("preparing");
-          });
-        });
-      });
-    };
-    img.src = displayImage;
-  } else {
+  // Reveal the view once the first slide can paint
+  const showView = () => {
+    // Reset scroll position before showing to prevent jump
+    window.scrollTo(0, 0);
     track.classList.add("preparing");
     landing.classList.add("hidden");
     view.classList.remove("hidden");
     loader.classList.add("hidden");
+    // Wait for layout to complete before positioning (no animation on initial load)
     requestAnimationFrame(() => {
-      updateCarouselPosition(false);
       requestAnimationFrame(() => {
-        track.classList.remove("preparing");
+        updateCarouselPosition(false);
+        requestAnimationFrame(() => {
+          track.classList.remove("preparing");
+        });
       });
     });
+  };
+
+  const firstWork = state.category.works[0];
+  const primaryMedia = firstWork ? utils().getPrimaryMedia(firstWork) : { type: "none" };
+
+  if (!firstWork || (primaryMedia.placeholder && primaryMedia.width)) {
+    // Nothing to wait for, or the pre-sized blur-up placeholder paints instantly
+    showView();
+  } else {
+    // Preload first image then show
+    const displayImage = primaryMedia.type === "image"
+      ? primaryMedia.src
+      : (primaryMedia.thumbnail || primaryMedia.poster || "");
+    const img = new Image();
+    // Preload the same responsive candidate the slide will pick
+    const variants = primaryMedia.type === "image" ? primaryMedia.variants : [];
+    if (variants.length > 0) {
+      img.sizes = config().images.sizes.carousel;
+      img.srcset = renderer().buildSrcset(variants, variants[0].format);
+    }
+    img.onload = img.onerror = showView;
+    img.src = displayImage;
   }
 }
 
@@ -774,9 +1017,9 @@ function expandWorkDetails() {
   const track = document.getElementById("carouselTrack");
   const activeSlideInner = track.querySelector('.carousel-slide.active .carousel-slide-inner');
   if (activeSlideInner) {
-    const img = activeSlideInner.querySelector('img');
+    const media = activeSlideInner.querySelector('img, video');
     const video = activeSlideInner.querySelector('.video-container');
-    const artworkWidth = img ? img.offsetWidth : (video ? video.offsetWidth : activeSlideInner.offsetWidth);
+    const artworkWidth = media ? media.offsetWidth : (video ? video.offsetWidth : activeSlideInner.offsetWidth);
     detailsPanel.style.width = artworkWidth + 'px';
     detailsPanel.style.maxWidth = 'none';
   }
@@ -815,10 +1058,28 @@ function expandWorkDetails() {
         const galleryItem = document.createElement("div");
         galleryItem.className = "work-gallery-item";
         galleryItem.innerHTML = `
-          <img src="${item.src}" alt="${work.title} - Image ${index + 1}">
+          ${renderer().renderImage(item, { alt: `${work.title} - Image ${index + 1}`, sizes: config().images.sizes.gallery })}
           ${item.caption ? `<div class="work-gallery-caption">${item.caption}</div>` : ""}
         `;
         gallery.appendChild(galleryItem);
+      } else if (item.type === "comparison") {
+        // Always shown here - the carousel only has room for a single image
+        const galleryItem = document.createElement("div");
+        galleryItem.className = "work-gallery-item work-gallery-comparison";
+        galleryItem.innerHTML = renderer().renderComparison(item, {
+          alt: `${work.title} - Comparison ${index + 1}`,
+          sizes: config().images.sizes.gallery,
+        });
+        gallery.appendChild(galleryItem);
+      } else if (item.type === "localVideo") {
+        if (!skippedFirstMedia) {
+          skippedFirstMedia = true;
+          return;
+        }
+        const galleryItem = document.createElement("div");
+        galleryItem.className = "work-gallery-item work-gallery-local-video";
+        galleryItem.innerHTML = renderer().renderLocalVideo(item);
+        gallery.appendChild(galleryItem);
       } else if (item.type === "video") {
         if (!skippedFirstMedia) {
           skippedFirstMedia = true;
@@ -827,7 +1088,7 @@ function expandWorkDetails() {
         const galleryItem = document.createElement("div");
         galleryItem.className = "work-gallery-item work-gallery-video";
         galleryItem.innerHTML = `
-          <iframe src="https://www.youtube.com/embed/${item.videoId}" allowfullscreen></iframe>
+          <iframe src="${utils().getVideoEmbedUrl(item)}" allowfullscreen></iframe>
         `;
         gallery.appendChild(galleryItem);
       } else if (item.type === "text") {
@@ -849,7 +1110,7 @@ function expandWorkDetails() {
       const item = document.createElement("div");
       item.className = "work-gallery-item";
       item.innerHTML = `
-        <img src="${imgData.src}" alt="${work.title} - Image ${index + 2}">
+        ${renderer().renderImage(imgData, { alt: `${work.title} - Image ${index + 2}`, sizes: config().images.sizes.gallery })}
         ${imgData.caption ? `<div class="work-gallery-caption">${imgData.caption}</div>` : ""}
       `;
       gallery.appendChild(item);
@@ -888,91 +1149,16 @@ function closeCategory() {
   document.getElementById("categoryLanding").classList.remove("hidden");
 }
 
-// Build modal content from work's content array
+// Build modal content from work's content array (shared with static work pages)
 function buildModalContent(work) {
-  const content = work.content || [];
-  const metaHTML = buildMetaHTML(work, config());
-  let cards = [];
-  let textItems = [];
-  let isFirstMedia = true;
-
-  // Collect all text items and media items separately
-  for (const item of content) {
-    if (item.type === "text") {
-      textItems.push(item.text);
-    } else if (item.type === "image") {
-      const imgSrc = typeof item.src === 'string' ? item.src : item.src?.src || '';
-      if (isFirstMedia) {
-        cards.push(`
-          <div class="modal-card modal-card-media">
-            <div class="modal-media">
-              <img src="${imgSrc}" alt="${work.title}">
-            </div>
-            ${item.caption ? `<div class="image-caption">${item.caption}</div>` : ""}
-          </div>
-        `);
-        isFirstMedia = false;
-      } else {
-        cards.push(`
-          <div class="modal-card modal-card-image">
-            <img src="${imgSrc}" alt="${work.title}">
-            ${item.caption ? `<div class="image-caption">${item.caption}</div>` : ""}
-          </div>
-        `);
-      }
-    } else if (item.type === "video") {
-      if (isFirstMedia) {
-        cards.push(`
-          <div class="modal-card modal-card-media">
-            <div class="modal-media">
-              <iframe src="https://www.youtube.com/embed/${item.videoId}" allowfullscreen></iframe>
-            </div>
-          </div>
-        `);
-        isFirstMedia = false;
-      } else {
-        cards.push(`
-          <div class="modal-card modal-card-video">
-            <iframe src="https://www.youtube.com/embed/${item.videoId}" allowfullscreen></iframe>
-          </div>
-        `);
-      }
-    }
-  }
-
-  // Build details card with first text as description
-  const firstText = textItems.shift() || "";
-  const detailsCard = `
-    <div class="modal-card modal-card-details">
-      <h3>${work.title}</h3>
-      ${firstText ? `<p class="modal-description">${firstText}</p>` : ""}
-      <div class="modal-meta">${metaHTML}</div>
-    </div>
-  `;
-
-  // Insert details card after first media
-  if (cards.length > 0) {
-    cards.splice(1, 0, detailsCard);
-  } else {
-    cards.push(detailsCard);
-  }
-
-  // Add remaining text items as separate cards
-  for (const text of textItems) {
-    cards.push(`
-      <div class="modal-card modal-card-text">
-        <p>${text}</p>
-      </div>
-    `);
-  }
-
-  return cards.join('');
+  return renderer().renderWorkContent(work, config());
 }
 
 // Open modal with work details
 function openModal(index, fromFilteredList = false) {
-  // Determine which list to use for navigation
-  if (fromFilteredList && Object.keys(state.filters).length > 0) {
+  // Determine which list to use for navigation: from the Index, the list as
+  // shown (filtered, searched and sorted), since the index points into it
+  if (fromFilteredList) {
     state.modal.list = state.works.filtered;
   } else if (state.modal.list.length === 0 || !fromFilteredList) {
     state.modal.list = state.works.all;
@@ -1000,7 +1186,7 @@ function openModal(index, fromFilteredList = false) {
       contentHTML = `
         <div class="modal-card modal-card-media">
           <div class="modal-media">
-            <iframe src="https://www.youtube.com/embed/${work.videoId}" allowfullscreen></iframe>
+            <iframe src="${utils().escapeHtml(utils().getPrimaryMedia(work).embedUrl)}" allowfullscreen></iframe>
           </div>
         </div>
         <div class="modal-card modal-card-details">
@@ -1016,7 +1202,7 @@ function openModal(index, fromFilteredList = false) {
       contentHTML = `
         <div class="modal-card modal-card-media">
           <div class="modal-media">
-            <img src="${firstImg.src}" alt="${work.title}">
+            ${renderer().renderImage(firstImg, { alt: work.title, sizes: config().images.sizes.modal })}
           </div>
           ${firstImg.caption ? `<div class="image-caption">${firstImg.caption}</div>` : ""}
         </div>
@@ -1031,7 +1217,7 @@ function openModal(index, fromFilteredList = false) {
         const imgData = getImageData(images[i]);
         contentHTML += `
           <div class="modal-card modal-card-image">
-            <img src="${imgData.src}" alt="${work.title} - Image ${i + 1}">
+            ${renderer().renderImage(imgData, { alt: `${work.title} - Image ${i + 1}`, sizes: config().images.sizes.modal })}
             ${imgData.caption ? `<div class="image-caption">${imgData.caption}</div>` : ""}
           </div>
         `;
@@ -1055,10 +1241,11 @@ function closeModal() {
   // Stop any playing video
   const iframe = container.querySelector("iframe");
   if (iframe) iframe.src = "";
+  container.querySelectorAll("video").forEach((video) => video.pause());
 
   modal.classList.remove("active");
   document.body.style.overflow = "";
-  updateURL(state.filters);
+  updateURL(getListParams());
 }
 
 // Navigate to previous/next work
@@ -1074,57 +1261,124 @@ function nextWork() {
   openModal(state.modal.index);
 }
 
-// Add filter
-function addFilter(type, value) {
-  state.filters[type] = value;
+// Add a filter value (OR'd with other values of the same field), or exclude it
+function addFilter(type, value, exclude = false) {
+  const filter = state.filters[type] || { include: [], exclude: [] };
+  const [target, other] = exclude ? ["exclude", "include"] : ["include", "exclude"];
+  filter[other] = filter[other].filter((v) => v !== value);
+  if (!filter[target].includes(value)) filter[target].push(value);
+  state.filters[type] = filter;
   closeModal();
   applyFilters();
   switchSection("index");
-  updateURL(state.filters);
+  updateURL(getListParams());
 }
 
-// Apply filters to works
-function applyFilters() {
-  const cfg = config();
-  const { getMultiValues } = utils();
+// Check whether a work has a value in a field
+function workHasValue(work, key, value) {
+  return config().multiValueFields.includes(key)
+    ? utils().getMultiValues(work[key]).includes(value)
+    : work[key] === value;
+}
 
-  state.works.filtered = state.works.all.filter((work) =>
-    Object.entries(state.filters).every(([key, value]) =>
-      cfg.multiValueFields.includes(key)
-        ? getMultiValues(work[key]).includes(value)
-        : work[key] === value
-    )
+// Check a work against the active filters. Values within a field are OR'd;
+// fields are combined by state.filterMode. Excluded values always rule a work out.
+function workMatchesFilters(work) {
+  const entries = Object.entries(state.filters);
+  const excluded = entries.some(([key, { exclude }]) =>
+    exclude.some((value) => workHasValue(work, key, value))
   );
+  if (excluded) return false;
 
+  const fieldMatches = entries
+    .filter(([, { include }]) => include.length > 0)
+    .map(([key, { include }]) => include.some((value) => workHasValue(work, key, value)));
+  if (fieldMatches.length === 0) return true;
+  return state.filterMode === "any" ? fieldMatches.some(Boolean) : fieldMatches.every(Boolean);
+}
+
+// Apply filters to works
+function applyFilters() {
+  let filtered = state.works.all.filter(workMatchesFilters);
+
+  // Narrow to search results, ranked by relevance
+  state.search.matches = new Map();
+  if (state.search.query && state.search.index) {
+    const byId = new Map(filtered.map((work) => [work.id, work]));
+    filtered = search().searchIndex(state.search.index, state.search.query)
+      .filter((result) => byId.has(result.id))
+      .map((result) => {
+        state.search.matches.set(result.id, result.terms);
+        return byId.get(result.id);
+      });
+  }
+
+  state.works.filtered = sortWorks(filtered);
   renderTable();
   renderActiveFilters();
 }
 
-// Render active filter tags
+// Render active filter tags (click a tag to negate it, × to remove it)
 function renderActiveFilters() {
   const container = document.getElementById("activeFilters");
   const labels = config().fieldLabels;
+  const { escapeHtml } = utils();
   container.innerHTML = "";
 
-  Object.entries(state.filters).forEach(([key, value]) => {
-    const tag = document.createElement("div");
-    tag.className = "filter-tag";
-    tag.innerHTML = `${labels[key] || key}: ${value} <span class="remove">×</span>`;
-    tag.onclick = () => removeFilter(key);
-    container.appendChild(tag);
+  Object.entries(state.filters).forEach(([key, { include, exclude }]) => {
+    const values = [
+      ...include.map((value) => ({ value, excluded: false })),
+      ...exclude.map((value) => ({ value, excluded: true })),
+    ];
+    values.forEach(({ value, excluded }, index) => {
+      const tag = document.createElement("div");
+      tag.className = excluded ? "filter-tag excluded" : "filter-tag";
+      tag.title = excluded ? "Click to include" : "Click to exclude";
+      // Later values of the same field read "or <value>"
+      const prefix = index === 0 ? `${labels[key] || key}:` : excluded ? "and" : "or";
+      tag.innerHTML = `${prefix} ${excluded ? "not " : ""}${escapeHtml(value)} <span class="remove">×</span>`;
+      tag.onclick = () => addFilter(key, value, !excluded);
+      tag.querySelector(".remove").onclick = (e) => {
+        e.stopPropagation();
+        removeFilter(key, value);
+      };
+      container.appendChild(tag);
+    });
   });
+
+  // The AND/OR toggle only matters once two fields include values
+  const modeToggle = document.getElementById("filterMode");
+  const includeFields = Object.values(state.filters).filter(({ include }) => include.length > 0);
+  modeToggle.hidden = includeFields.length < 2;
+  modeToggle.textContent = state.filterMode === "any" ? "Match any" : "Match all";
+}
+
+// Remove a filter value
+function removeFilter(type, value) {
+  const filter = state.filters[type];
+  if (!filter) return;
+  filter.include = filter.include.filter((v) => v !== value);
+  filter.exclude = filter.exclude.filter((v) => v !== value);
+  if (filter.include.length === 0 && filter.exclude.length === 0) {
+    delete state.filters[type];
+  }
+  applyFilters();
+  updateURL(getListParams());
 }
 
-// Remove a specific filter
-function removeFilter(type) {
-  delete state.filters[type];
+// Toggle between matching all or any of the filtered fields
+function toggleFilterMode() {
+  state.filterMode = state.filterMode === "any" ? "all" : "any";
   applyFilters();
-  updateURL(state.filters);
+  updateURL(getListParams());
 }
 
 // Clear all filters
 function clearAllFilters() {
   state.filters = {};
+  state.filterMode = "all";
+  state.search.query = "";
+  document.getElementById("searchInput").value = "";
   applyFilters();
   updateURL();
 }
@@ -1148,12 +1402,12 @@ function switchSection(sectionId) {
 }
 
 // Showreel functionality
-const SHOWREEL_VIDEO_ID = "xutmhyLQKxk";
+const SHOWREEL_VIDEO = { provider: "youtube", id: "xutmhyLQKxk" };
 
 function openShowreel() {
   const modal = document.getElementById("showreelModal");
   const iframe = modal.querySelector("iframe");
-  iframe.src = `https://www.youtube.com/embed/${SHOWREEL_VIDEO_ID}?autoplay=1`;
+  iframe.src = utils().getVideoEmbedUrl(SHOWREEL_VIDEO, { autoplay: 1 });
   modal.classList.add("active");
   document.body.style.overflow = "hidden";
 }
@@ -1173,6 +1427,11 @@ window.addEventListener("popstate", applyURLState);
 document.addEventListener("DOMContentLoaded", () => {
   loadData();
 
+  // Dev server (npm run dev): refresh in place when works change
+  if (window.PortfolioLiveReload) {
+    window.PortfolioLiveReload.onDataChange(refreshData);
+  }
+
   // Show admin link only when running locally
   if (["localhost", "127.0.0.1"].includes(location.hostname)) {
     document.getElementById("adminLink").style.display = "";
@@ -1197,12 +1456,27 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 
   document.getElementById("clearFilters").addEventListener("click", clearAllFilters);
+  document.getElementById("filterMode").addEventListener("click", toggleFilterMode);
+
+  let searchTimer = null;
+  document.getElementById("searchInput").addEventListener("input", (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => setSearchQuery(e.target.value), 150);
+  });
+
+  document.querySelectorAll(".layout-btn").forEach((btn) => {
+    btn.addEventListener("click", () => setIndexView({ layout: btn.dataset.layout }));
+  });
+
+  document.getElementById("sortSelect").addEventListener("change", (e) => {
+    setIndexView({ sort: decodeSort(e.target.value) });
+  });
 
   document.getElementById("filterSelect").addEventListener("change", (e) => {
     const value = e.target.value;
     if (value) {
-      const [key, filterValue] = value.split(":");
-      addFilter(key, filterValue);
+      const separator = value.indexOf(":");
+      addFilter(value.slice(0, separator), value.slice(separator + 1));
       e.target.value = "";
     }
   });
@@ -12,8 +12,30 @@ const crypto = require("crypto");
 const { exec } = require("child_process");
 const { promisify } = require("util");
 
-const { slugify } = require("./shared/utils");
-const { scanAllWorksAsync } = require("./shared/scanner");
+const { slugify, normalizeVideoItem, getVideoProvider, getWorkStatus, isWorkLive } = require("./shared/utils");
+const { scanWorks, toPublicWork, toAdminWork, upgradeProjectMeta, getReferencedFiles } = require("./shared/scanner");
+const { CURRENT_SCHEMA_VERSION } = require("./shared/migrations");
+const { injectShareTags, renderWorkPage, getSiteUrl } = require("./shared/pages");
+const { canGenerateVariants, generateImageVariants } = require("./shared/images");
+const { validateMeta, formatValidationErrors } = require("./shared/schema");
+const { watchPaths, createLiveReload } = require("./shared/watcher");
+const {
+  loadUsers,
+  findUser,
+  addUser,
+  updateUser,
+  removeUser,
+  authenticate,
+  createSessionStore,
+  parseCookies,
+  serializeSessionCookie,
+} = require("./shared/auth");
+const { can, getPermissions } = require("./shared/permissions");
+const { AUDIT_ACTIONS, diffMeta, appendAuditEntry, readAuditLog } = require("./shared/audit");
+const { listRevisions, readRevision, createRevision, hasRevisions, restoreRevision } = require("./shared/revisions");
+const { moveToTrash, listTrash, readTrashEntry, restoreFromTrash, purgeTrashEntry, purgeExpiredTrash } = require("./shared/trash");
+const { withWorkLock, beginWorkChange, recoverWorkChanges } = require("./shared/transactions");
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, getChangedFields, applyPatch } = require("./shared/patch");
 const CONFIG = require("./shared/config");
 
 const execAsync = promisify(exec);
@@ -25,17 +47,20 @@ const rootPath = __dirname;
 const worksBasePath = path.join(rootPath, "works");
 const adminPath = path.join(rootPath, "admin");
 
-// CSRF token storage (in production, use redis or database)
-const csrfTokens = new Map();
-const CSRF_TOKEN_EXPIRY = 3600000; // 1 hour
+// Admin sessions (in memory: restarting the server logs everyone out)
+const sessions = createSessionStore();
+
+// --watch: rebuild on file changes and live-reload open tabs (npm run dev)
+const watchMode = process.argv.includes("--watch");
+const liveReload = watchMode ? createLiveReload() : null;
 
 // Works cache
 let worksCache = null;
 let worksCacheTime = 0;
 const CACHE_TTL = 5000; // 5 seconds
 
-// Middleware
-app.use(express.json());
+// Middleware (PATCH bodies are merge patches or JSON Patches)
+app.use(express.json({ type: ["application/json", MERGE_PATCH_TYPE, JSON_PATCH_TYPE] }));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -48,46 +73,113 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage: storage });
 
-// CSRF middleware
-function generateCsrfToken() {
-  const token = crypto.randomBytes(32).toString("hex");
-  csrfTokens.set(token, Date.now());
-  return token;
+// Work uploads: images, comparison images, self-hosted videos and their poster frames
+const uploadWorkFiles = upload.fields([
+  { name: "images", maxCount: 20 },
+  { name: "comparisons", maxCount: 20 },
+  { name: "videos", maxCount: 10 },
+  { name: "posters", maxCount: 10 },
+]);
+
+// Session middleware: attach the logged-in session and its account (or null)
+// to every request. Accounts are re-read so role changes apply immediately.
+function loadSession(req, res, next) {
+  const cookies = parseCookies(req.headers.cookie);
+  const session = sessions.get(cookies[CONFIG.auth.cookieName]);
+  const user = session ? findUser(rootPath, session.username) : null;
+  if (session && !user) {
+    sessions.destroy(session.id);
+  }
+  req.session = user ? session : null;
+  req.user = user ? { username: user.username, role: user.role } : null;
+  next();
 }
 
-function validateCsrfToken(token) {
-  if (!token || !csrfTokens.has(token)) {
-    return false;
-  }
-  const timestamp = csrfTokens.get(token);
-  if (Date.now() - timestamp > CSRF_TOKEN_EXPIRY) {
-    csrfTokens.delete(token);
-    return false;
-  }
-  return true;
+// Reply 403 for an action the user's role doesn't allow
+function sendPermissionDenied(res, permission) {
+  return res.status(403).json({ error: "Permission denied", message: `Your role can't do this (${permission})` });
 }
 
-// Clean up expired tokens periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [token, timestamp] of csrfTokens.entries()) {
-    if (now - timestamp > CSRF_TOKEN_EXPIRY) {
-      csrfTokens.delete(token);
+// Route guard: 403 unless the user's role allows the action (shared/permissions.js)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user.role, permission)) {
+      return sendPermissionDenied(res, permission);
     }
+    next();
+  };
+}
+
+function useSecureCookies(req) {
+  const setting = CONFIG.auth.secureCookies;
+  return setting === "auto" ? req.secure : Boolean(setting);
+}
+
+// Reject API calls without a session (401), except logging in and live reload
+const PUBLIC_API_ROUTES = ["POST /login", "GET /live-reload"];
+
+function requireApiAuth(req, res, next) {
+  if (req.session || PUBLIC_API_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return next();
+  }
+  res.status(401).json({ error: "Authentication required" });
+}
+
+// Send visitors without a session to the login page (its own files stay public)
+const PUBLIC_ADMIN_FILES = ["/login.html", "/login.js", "/admin.css"];
+
+function requireAdminAuth(req, res, next) {
+  if (req.session || PUBLIC_ADMIN_FILES.includes(req.path)) {
+    return next();
+  }
+  if (req.path === "/" || req.path.endsWith(".html") || req.path.startsWith("/preview/")) {
+    return res.redirect("/admin/login.html");
   }
-}, 300000); // Every 5 minutes
+  res.status(401).json({ error: "Authentication required" });
+}
 
-// CSRF protection middleware for mutating requests
+// CSRF protection middleware for mutating requests: the token must belong
+// to the request's session
 function csrfProtection(req, res, next) {
-  if (["POST", "PUT", "DELETE"].includes(req.method)) {
-    const token = req.headers["x-csrf-token"];
-    if (!validateCsrfToken(token)) {
+  if (["POST", "PUT", "PATCH", "DELETE"].includes(req.method)) {
+    const token = String(req.headers["x-csrf-token"] || "");
+    const expected = req.session ? req.session.csrfToken : "";
+    const valid = token.length === expected.length && expected.length > 0 &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+    if (!valid) {
       return res.status(403).json({ error: "Invalid or missing CSRF token" });
     }
   }
   next();
 }
 
+// Failed logins per client, to slow down password guessing
+const LOGIN_ATTEMPT_LIMIT = 5;
+const LOGIN_ATTEMPT_WINDOW = 900000; // 15 minutes
+const loginFailures = new Map();
+
+function isLoginThrottled(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry || Date.now() - entry.first > LOGIN_ATTEMPT_WINDOW) {
+    loginFailures.delete(ip);
+    return false;
+  }
+  return entry.count >= LOGIN_ATTEMPT_LIMIT;
+}
+
+function recordLoginFailure(ip) {
+  const entry = loginFailures.get(ip);
+  if (entry && Date.now() - entry.first <= LOGIN_ATTEMPT_WINDOW) {
+    entry.count++;
+  } else {
+    loginFailures.set(ip, { count: 1, first: Date.now() });
+  }
+}
+
+app.use(loadSession);
+app.use("/api", requireApiAuth);
+app.use("/admin", requireAdminAuth);
+
 // Helper functions
 function getProjectPath(year, slug) {
   return path.join(worksBasePath, year, slug);
@@ -107,7 +199,8 @@ function parseFeatured(value, defaultValue = false) {
 async function cleanupTempFiles(files) {
   if (!files) return;
 
-  for (const file of files) {
+  const fileList = Array.isArray(files) ? files : Object.values(files).flat();
+  for (const file of fileList) {
     try {
       await fs.unlink(file.path);
     } catch (err) {
@@ -116,22 +209,297 @@ async function cleanupTempFiles(files) {
   }
 }
 
+async function moveUpload(file, destPath) {
+  await fs.copyFile(file.path, destPath);
+  await fs.unlink(file.path);
+}
+
+// Move an uploaded file into a project folder and generate its responsive
+// variants. Returns the image content item to store in meta.json.
+async function storeUploadedImage(file, projectPath, imageName, caption) {
+  const destPath = path.join(projectPath, imageName);
+
+  await moveUpload(file, destPath);
+
+  const item = { type: "image", src: imageName, caption: caption || "" };
+
+  if (canGenerateVariants(imageName)) {
+    try {
+      Object.assign(item, await generateImageVariants(destPath));
+      console.log(`Generated ${item.variants.length} variants for ${destPath}`);
+    } catch (err) {
+      console.error(`Could not generate variants for ${destPath}:`, err.message);
+    }
+  }
+
+  return item;
+}
+
+function validateVideoUploads(files) {
+  const videos = (files && files.videos) || [];
+  for (const file of videos) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!CONFIG.localVideo.extensions.includes(ext)) {
+      return `Unsupported video format "${ext}" (allowed: ${CONFIG.localVideo.extensions.join(", ")})`;
+    }
+  }
+  return null;
+}
+
+// Store uploaded videos (and poster frames) for pending localVideo items.
+// Videos arrive in content order; posters only for items flagged _pendingPoster.
+async function storePendingVideos(content, files, projectPath, startNum = 0) {
+  const videos = (files && files.videos) || [];
+  const posters = (files && files.posters) || [];
+  let videoIndex = 0;
+  let posterIndex = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const item = content[i];
+    if (!item._pending || item.type !== "localVideo" || !videos[videoIndex]) continue;
+
+    const file = videos[videoIndex];
+    const ext = path.extname(file.originalname).toLowerCase();
+    const videoNum = startNum + videoIndex;
+    const videoName = videoNum === 0 ? `video${ext}` : `video${videoNum + 1}${ext}`;
+    await moveUpload(file, path.join(projectPath, videoName));
+
+    const stored = {
+      type: "localVideo",
+      src: videoName,
+      loop: item.loop,
+      muted: item.muted,
+      autoplay: item.autoplay,
+    };
+
+    if (item._pendingPoster && posters[posterIndex]) {
+      const poster = posters[posterIndex];
+      const posterName = `${path.basename(videoName, ext)}-poster${path.extname(poster.originalname) || ".jpg"}`;
+      await moveUpload(poster, path.join(projectPath, posterName));
+      stored.poster = posterName;
+      posterIndex++;
+    }
+
+    content[i] = stored;
+    videoIndex++;
+  }
+}
+
+// First filename of the form prefix + (n > 1 ? n : "") + suffix + ext not
+// used by the work or the change (e.g. "comparison-before.jpg", then "comparison2-before.jpg")
+function getAvailableFilename(change, prefix, suffix, ext) {
+  for (let n = 1; ; n++) {
+    const name = `${prefix}${n === 1 ? "" : n}${suffix}${ext}`;
+    if (!change.exists(name)) return name;
+  }
+}
+
+// Store uploaded images for comparison sides flagged _pending in a staged change.
+// Files arrive in content order, "before" side first.
+async function storePendingComparisons(content, files, change) {
+  const uploads = (files && files.comparisons) || [];
+  let uploadIndex = 0;
+
+  for (const item of content) {
+    if (item.type !== "comparison") continue;
+
+    for (const side of ["before", "after"]) {
+      if (!item[side] || !item[side]._pending || !uploads[uploadIndex]) continue;
+
+      const file = uploads[uploadIndex++];
+      const ext = path.extname(file.originalname).toLowerCase();
+      const imageName = getAvailableFilename(change, "comparison", `-${side}`, ext);
+      const { type, caption, ...image } = await storeUploadedImage(file, change.dir, imageName);
+      item[side] = { ...image, label: item[side].label };
+    }
+  }
+}
+
+// Normalise a submitted content item for meta.json: drop internal markers,
+// reduce stored paths to filenames and omit empty optional fields
+function cleanContentItem(item) {
+  const cleaned = { ...item };
+  delete cleaned._pending;
+  delete cleaned._pendingPoster;
+
+  if (cleaned.type === "image") {
+    if (cleaned.src) cleaned.src = cleaned.src.split("/").pop();
+    if (!cleaned.caption) delete cleaned.caption;
+  } else if (cleaned.type === "localVideo") {
+    if (cleaned.src) cleaned.src = cleaned.src.split("/").pop();
+    if (cleaned.poster) cleaned.poster = cleaned.poster.split("/").pop();
+    else delete cleaned.poster;
+    for (const flag of ["loop", "muted", "autoplay"]) {
+      if (cleaned[flag]) cleaned[flag] = true;
+      else delete cleaned[flag];
+    }
+  } else if (cleaned.type === "video") {
+    // Malformed items are kept as sent so validation reports them
+    return normalizeVideoItem(cleaned) || cleaned;
+  } else if (cleaned.type === "comparison") {
+    for (const side of ["before", "after"]) {
+      // A side still marked _pending had no file uploaded for it
+      if (!cleaned[side] || !cleaned[side].src || cleaned[side]._pending) return null;
+      const { _pending, ...image } = cleaned[side];
+      image.src = image.src.split("/").pop();
+      if (!image.label) delete image.label;
+      cleaned[side] = image;
+    }
+  }
+
+  return cleaned;
+}
+
+// Look up thumbnails for embedded videos whose provider has no static
+// thumbnail URL (e.g. Vimeo) through the provider's oEmbed endpoint
+async function resolveVideoThumbnails(content) {
+  for (const item of content) {
+    if (item.type !== "video" || item.thumbnail) continue;
+    // Unknown providers are left for validation to report
+    const provider = getVideoProvider(item.provider);
+    if (!provider || !provider.oembedEndpoint || provider.getThumbnailUrl(item.id)) continue;
+
+    try {
+      const url = `${provider.oembedEndpoint}?url=${encodeURIComponent(provider.getPageUrl(item.id))}`;
+      const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      if (data.thumbnail_url) item.thumbnail = data.thumbnail_url;
+    } catch (err) {
+      console.error(`oEmbed lookup failed for ${item.provider} video ${item.id}:`, err.message);
+    }
+  }
+  return content;
+}
+
+// Carry dimensions and variants of already-stored images (and comparison
+// sides) over to the submitted content (the admin only sends src and caption/label)
+function restoreImageVariants(item, existingContent) {
+  if (!Array.isArray(existingContent)) return item;
+
+  const storedImages = existingContent.flatMap((c) => {
+    if (c.type === "image") return [c];
+    if (c.type === "comparison") return [c.before, c.after];
+    return [];
+  });
+  const restore = (image) => {
+    if (!image || image.variants) return image;
+    const existing = storedImages.find((c) => c && c.src === image.src && Array.isArray(c.variants));
+    if (!existing) return image;
+    return {
+      ...image,
+      width: existing.width,
+      height: existing.height,
+      variants: existing.variants,
+    };
+  };
+
+  if (item.type === "image") return restore(item);
+  if (item.type === "comparison") {
+    return { ...item, before: restore(item.before), after: restore(item.after) };
+  }
+  return item;
+}
+
 function buildMetaData(data, existingMeta = {}) {
+  // Omitted (undefined) fields keep their existing value; anything else,
+  // including "" and null, replaces it. Empty text fields are stored as "",
+  // an empty status or publishAt is left out.
+  const pick = (key) => (data[key] !== undefined ? data[key] : existingMeta[key]);
+  const status = pick("status");
+  const publishAt = pick("publishAt");
   const meta = {
-    title: data.title || existingMeta.title || "",
-    client: data.client || existingMeta.client || "",
-    industry: data.industry || existingMeta.industry || "",
-    contribution: data.contribution || existingMeta.contribution || "",
-    date: data.date || existingMeta.date || "",
-    style: data.style || existingMeta.style || "",
-    software: data.software || existingMeta.software || "",
-    featured: parseFeatured(data.featured, existingMeta.featured),
-    content: data.content || existingMeta.content || [],
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    title: pick("title") || "",
+    client: pick("client") || "",
+    industry: pick("industry") || "",
+    contribution: pick("contribution") || "",
+    date: pick("date") || "",
+    style: pick("style") || "",
+    software: pick("software") || "",
+    featured: parseFeatured(data.featured === null ? false : data.featured, existingMeta.featured),
+    ...(status && { status }),
+    ...(publishAt && { publishAt }),
+    content: pick("content") || [],
   };
 
   return meta;
 }
 
+// Fields a PATCH may change
+const PATCHABLE_FIELDS = [
+  "title",
+  "date",
+  "client",
+  "industry",
+  "contribution",
+  "style",
+  "software",
+  "featured",
+  "status",
+  "publishAt",
+  "content",
+];
+
+// Turn a work's meta with a PATCH applied into meta.json. Fields the patch
+// removed are passed on as null, so buildMetaData clears them instead of
+// keeping them.
+function buildPatchedMeta(patched, existingMeta) {
+  const data = Object.fromEntries(
+    PATCHABLE_FIELDS.map((field) => [field, patched[field] !== undefined ? patched[field] : null]),
+  );
+  return buildMetaData(data, existingMeta);
+}
+
+// Read a work's meta.json as stored and upgraded to the current schema
+async function readWorkMeta(projectPath) {
+  const originalMeta = JSON.parse(await fs.readFile(path.join(projectPath, "meta.json"), "utf8"));
+  return { originalMeta, existingMeta: upgradeProjectMeta(originalMeta, projectPath) };
+}
+
+// Where a work's meta puts its folder
+function getMetaProjectPath(meta, currentPath) {
+  return meta.title && meta.date ? getProjectPath(meta.date.substring(0, 4), slugify(meta.title)) : currentPath;
+}
+
+function sendPatchError(res, err) {
+  return res.status(400).json({ error: "Invalid patch", message: err.message });
+}
+
+// Record an admin change in the audit log. A failed write is logged but
+// doesn't fail the request (the change itself has already happened).
+async function recordAudit(req, entry) {
+  try {
+    await appendAuditEntry(rootPath, { actor: req.user.username, ...entry });
+  } catch (err) {
+    console.error("Error writing audit log:", err.message);
+  }
+}
+
+// Snapshot a work after a change (shared/revisions.js). Like the audit log, a
+// failure is logged without failing the request.
+async function recordRevision(actor, projectPath, reason) {
+  try {
+    await createRevision(projectPath, { actor, reason });
+  } catch (err) {
+    console.error(`Error saving revision of ${projectPath}:`, err.message);
+  }
+}
+
+// Work id of a project folder (matches the scanner's ids)
+function getWorkId(projectPath) {
+  return `${path.basename(path.dirname(projectPath))}-${path.basename(projectPath)}`;
+}
+
+// Reply 400 with the field-level errors from validateMeta
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({
+    error: "Invalid work data",
+    message: formatValidationErrors(errors).join("; "),
+    errors,
+  });
+}
+
 // Cached works fetching
 async function getWorks(forceRefresh = false) {
   const now = Date.now();
@@ -139,7 +507,7 @@ async function getWorks(forceRefresh = false) {
     return worksCache;
   }
 
-  worksCache = await scanAllWorksAsync(worksBasePath);
+  worksCache = await scanWorks(worksBasePath);
   worksCacheTime = now;
   return worksCache;
 }
@@ -149,19 +517,217 @@ function invalidateCache() {
   worksCacheTime = 0;
 }
 
+// ETag of a work: a hash of its meta.json as stored (media changes always
+// come with a meta.json change). Null when the file can't be read.
+async function getWorkEtag(projectPath) {
+  try {
+    const metaContent = await fs.readFile(path.join(projectPath, "meta.json"));
+    return `"${crypto.createHash("sha1").update(metaContent).digest("hex")}"`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Work as sent to the admin, with its ETag
+async function toAdminWorkWithEtag(work) {
+  return { ...toAdminWork(work, rootPath), etag: await getWorkEtag(work.path) };
+}
+
+// Optimistic concurrency for changes to a work: the If-Match header must
+// name the work's current ETag. Replies 428 without one and 409 (with the
+// current version, for merging) when the work changed since it was loaded.
+// Returns true when the change can go ahead. Call while holding the work's lock.
+async function checkIfMatch(req, res, work, { required = true } = {}) {
+  const header = req.get("If-Match");
+  if (!header) {
+    if (!required) return true;
+    const message = "Send an If-Match header with the work's ETag (from GET /api/works/:id)";
+    res.status(428).json({ error: "Precondition required", message });
+    return false;
+  }
+
+  const etag = await getWorkEtag(work.path);
+  const matches = header.trim() === "*" || header.split(",").map((tag) => tag.trim()).includes(etag);
+  if (matches) return true;
+
+  // Rescan so the reply carries the work as it is now
+  invalidateCache();
+  const current = (await getWorks()).find((w) => w.id === work.id);
+  const message = "This work was changed by someone else since you loaded it";
+  res.status(409).set("ETag", etag).json({
+    error: "Conflict",
+    message,
+    current: current ? await toAdminWorkWithEtag(current) : null,
+  });
+  return false;
+}
+
+// Serve index.html, personalised with share tags when ?work= names a known work
+async function sendIndexPage(req, res) {
+  const indexPath = path.join(rootPath, "index.html");
+  const slug = typeof req.query.work === "string" ? req.query.work : "";
+  if (!slug && !liveReload) {
+    return res.sendFile(indexPath);
+  }
+
+  try {
+    const works = slug ? await getWorks() : [];
+    const work = works.find((w) => slugify(w.title) === slug && isWorkLive(w));
+    if (!work && !liveReload) {
+      return res.sendFile(indexPath);
+    }
+
+    let html = await fs.readFile(indexPath, "utf8");
+    if (work) {
+      const siteBase = getSiteUrl() || `${req.protocol}://${req.get("host")}/`;
+      html = injectShareTags(html, work, {
+        siteBase,
+        pageUrl: `${siteBase}?work=${encodeURIComponent(slug)}`,
+      });
+    }
+    res.type("html").send(liveReload ? liveReload.injectClient(html) : html);
+  } catch (err) {
+    console.error("Error rendering share tags:", err);
+    res.sendFile(indexPath);
+  }
+}
+
 // ==================== API Routes ====================
 
-// GET CSRF token
+// POST /api/login - Start a session ({username, password})
+app.post("/api/login", async (req, res) => {
+  const ip = req.ip;
+  if (isLoginThrottled(ip)) {
+    return res.status(429).json({ error: "Too many failed logins, try again later" });
+  }
+
+  const { username, password } = req.body || {};
+  const user = await authenticate(rootPath, username, password);
+  if (!user) {
+    recordLoginFailure(ip);
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+
+  loginFailures.delete(ip);
+  const session = sessions.create(user.username);
+  res.set("Set-Cookie", serializeSessionCookie(session.id, {
+    secure: useSecureCookies(req),
+    maxAge: CONFIG.auth.sessionTtl,
+  }));
+  res.json({ username: session.username, csrfToken: session.csrfToken });
+});
+
+// POST /api/logout - End the session (CSRF protected)
+app.post("/api/logout", csrfProtection, (req, res) => {
+  sessions.destroy(req.session.id);
+  res.set("Set-Cookie", serializeSessionCookie("", { secure: useSecureCookies(req), maxAge: 0 }));
+  res.json({ success: true });
+});
+
+// GET /api/session - Current user, role and permissions
+app.get("/api/session", (req, res) => {
+  res.json({ ...req.user, permissions: getPermissions(req.user.role) });
+});
+
+// Account details safe to send to the browser
+function toPublicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+// GET /api/users - List accounts (owners)
+app.get("/api/users", requirePermission("users:manage"), (req, res) => {
+  res.json(loadUsers(rootPath).map(toPublicUser));
+});
+
+// POST /api/users - Add an account ({username, password, role}) (owners, CSRF protected)
+app.post("/api/users", csrfProtection, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const user = await addUser(rootPath, { username, password, role });
+    console.log(`${req.user.username} added ${user.role} ${user.username}`);
+    await recordAudit(req, { action: "user.create", details: { username: user.username, role: user.role } });
+    res.status(201).json(toPublicUser(user));
+  } catch (err) {
+    res.status(400).json({ error: err.message, message: err.message });
+  }
+});
+
+// PUT /api/users/:username - Change role and/or password (owners, CSRF protected)
+app.put("/api/users/:username", csrfProtection, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    const previousRole = (findUser(rootPath, req.params.username) || {}).role;
+    const user = await updateUser(rootPath, req.params.username, { role, password });
+    // A new password or role signs the user out everywhere (an owner changing
+    // their own account stays signed in here)
+    if (password !== undefined || (role !== undefined && role !== previousRole)) {
+      sessions.destroyForUser(user.username, req.session.id);
+    }
+    console.log(`${req.user.username} updated user ${user.username}`);
+    await recordAudit(req, {
+      action: "user.update",
+      details: {
+        username: user.username,
+        ...(role !== undefined && { role: { before: previousRole, after: user.role } }),
+        ...(password !== undefined && { passwordChanged: true }),
+      },
+    });
+    res.json(toPublicUser(user));
+  } catch (err) {
+    res.status(400).json({ error: err.message, message: err.message });
+  }
+});
+
+// DELETE /api/users/:username - Remove an account (owners, CSRF protected)
+app.delete("/api/users/:username", csrfProtection, requirePermission("users:manage"), async (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ error: "You can't remove your own account" });
+  }
+  try {
+    removeUser(rootPath, req.params.username);
+    console.log(`${req.user.username} removed user ${req.params.username}`);
+    await recordAudit(req, { action: "user.delete", details: { username: req.params.username } });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message, message: err.message });
+  }
+});
+
+// GET CSRF token (bound to the session)
 app.get("/api/csrf-token", (req, res) => {
-  const token = generateCsrfToken();
-  res.json({ token });
+  res.json({ token: req.session.csrfToken });
+});
+
+// GET /api/audit - Audit log, newest first (?work=, ?user=, ?action=, ?limit=)
+app.get("/api/audit", requirePermission("audit:read"), async (req, res) => {
+  const { work, user, action, limit } = req.query;
+  if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(", ")}` });
+  }
+  const parsedLimit = limit === undefined ? undefined : Number(limit);
+  if (parsedLimit !== undefined && (!Number.isInteger(parsedLimit) || parsedLimit < 1)) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+
+  try {
+    const entries = await readAuditLog(rootPath, {
+      workId: typeof work === "string" ? work : undefined,
+      actor: typeof user === "string" ? user : undefined,
+      action,
+      limit: parsedLimit,
+    });
+    res.json(entries);
+  } catch (err) {
+    console.error("Error reading audit log:", err);
+    res.status(500).json({ error: "Failed to read audit log", message: err.message });
+  }
 });
 
 // GET /api/works - Return all works (cached)
-app.get("/api/works", async (req, res) => {
+app.get("/api/works", requirePermission("works:read"), async (req, res) => {
   try {
     const works = await getWorks();
-    res.json(works);
+    res.json(await Promise.all(works.map(toAdminWorkWithEtag)));
   } catch (err) {
     console.error("Error fetching works:", err);
     res
@@ -170,11 +736,29 @@ app.get("/api/works", async (req, res) => {
   }
 });
 
+// GET /api/works/:id - Return one work with its ETag (for If-Match on PUT and DELETE)
+app.get("/api/works/:id", requirePermission("works:read"), async (req, res) => {
+  try {
+    const works = await getWorks();
+    const work = works.find((w) => w.id === req.params.id);
+    if (!work) {
+      return res.status(404).json({ error: "Work not found" });
+    }
+
+    const adminWork = await toAdminWorkWithEtag(work);
+    res.set("ETag", adminWork.etag).json(adminWork);
+  } catch (err) {
+    console.error("Error fetching work:", err);
+    res.status(500).json({ error: "Failed to fetch work", message: err.message });
+  }
+});
+
 // POST /api/works - Create new work (CSRF protected)
 app.post(
   "/api/works",
   csrfProtection,
-  upload.array("images", 20),
+  requirePermission("works:create"),
+  uploadWorkFiles,
   async (req, res) => {
     try {
       const {
@@ -186,81 +770,114 @@ app.post(
         style,
         software,
         featured,
+        publishAt,
         content: contentJson,
       } = req.body;
+      const status = req.body.status || CONFIG.publishing.newWorkStatus;
 
-      if (!title || !date) {
-        return res.status(400).json({ error: "Title and date are required" });
+      if (parseFeatured(featured) && !can(req.user.role, "works:feature")) {
+        await cleanupTempFiles(req.files);
+        return sendPermissionDenied(res, "works:feature");
+      }
+      if (status !== "draft" && !can(req.user.role, "works:publish")) {
+        await cleanupTempFiles(req.files);
+        return sendPermissionDenied(res, "works:publish");
+      }
+
+      // Check the work fields before touching the filesystem
+      const fieldErrors = validateMeta(
+        buildMetaData({ title, client, industry, contribution, date, style, software, featured, status, publishAt }),
+      );
+      if (fieldErrors.length > 0) {
+        await cleanupTempFiles(req.files);
+        return sendValidationErrors(res, fieldErrors);
+      }
+
+      const videoError = validateVideoUploads(req.files);
+      if (videoError) {
+        await cleanupTempFiles(req.files);
+        return res.status(400).json({ error: videoError, message: videoError });
       }
 
       const slug = slugify(title);
       const year = date.substring(0, 4);
       const projectPath = getProjectPath(year, slug);
 
-      validateProjectPath(projectPath);
-
-      await fs.mkdir(projectPath, { recursive: true });
-      console.log(`Created directory: ${projectPath}`);
-
-      // Parse content and pending image indices
-      let content = contentJson ? JSON.parse(contentJson) : [];
-      // Process uploaded images and update content array
-      let fileIndex = 0;
-      for (let i = 0; i < content.length; i++) {
-        if (content[i]._pending && content[i].type === "image") {
-          if (req.files && req.files[fileIndex]) {
-            const file = req.files[fileIndex];
-            const ext = path.extname(file.originalname);
-            const imageName = fileIndex === 0 ? `image${ext}` : `image${fileIndex + 1}${ext}`;
-            const destPath = path.join(projectPath, imageName);
-
-            await fs.copyFile(file.path, destPath);
-            await fs.unlink(file.path);
-
-            content[i] = {
-              type: "image",
-              src: imageName,
-              caption: content[i].caption || ""
-            };
-            fileIndex++;
+      await withWorkLock([projectPath], async () => {
+        validateProjectPath(projectPath);
+
+        // Files are staged and the work folder only appears once everything is in place
+        const change = await beginWorkChange(rootPath, { projectPath: null, targetPath: projectPath });
+        let meta;
+        try {
+          // Parse content and pending image indices
+          let content = contentJson ? JSON.parse(contentJson) : [];
+          // Process uploaded images and update content array
+          const imageFiles = (req.files && req.files.images) || [];
+          let fileIndex = 0;
+          for (let i = 0; i < content.length; i++) {
+            if (content[i]._pending && content[i].type === "image") {
+              if (imageFiles[fileIndex]) {
+                const file = imageFiles[fileIndex];
+                const ext = path.extname(file.originalname);
+                const imageName = fileIndex === 0 ? `image${ext}` : `image${fileIndex + 1}${ext}`;
+
+                content[i] = await storeUploadedImage(file, change.dir, imageName, content[i].caption);
+                fileIndex++;
+              }
+            }
           }
-        }
-      }
-
-      // Clean up content items (remove internal markers)
-      content = content.map(item => {
-        const cleaned = { ...item };
-        delete cleaned._pending;
-        // Remove empty captions
-        if (cleaned.type === "image" && !cleaned.caption) {
-          delete cleaned.caption;
-        }
-        return cleaned;
-      });
-
-      const meta = buildMetaData({
-        title,
-        client,
-        industry,
-        contribution,
-        date,
-        style,
-        software,
-        featured,
-        content,
-      });
-
-      const metaPath = path.join(projectPath, "meta.json");
-      await fs.writeFile(metaPath, JSON.stringify(meta, null, 2));
-      console.log(`Created meta.json at ${metaPath}`);
 
-      invalidateCache();
+          // Process uploaded comparison images
+          await storePendingComparisons(content, req.files, change);
+
+          // Process uploaded videos and their poster frames
+          await storePendingVideos(content, req.files, change.dir);
+
+          // Clean up content items (remove internal markers)
+          content = content.map(cleanContentItem).filter(Boolean);
+          await resolveVideoThumbnails(content);
+
+          meta = buildMetaData({
+            title,
+            client,
+            industry,
+            contribution,
+            date,
+            style,
+            software,
+            featured,
+            status,
+            publishAt,
+            content,
+          });
+
+          const errors = validateMeta(meta);
+          if (errors.length > 0) {
+            await change.abort();
+            return sendValidationErrors(res, errors);
+          }
 
-      res.json({
-        success: true,
-        message: "Work created successfully",
-        id: `${year}-${slug}`,
-        path: projectPath,
+          await change.writeMeta(meta);
+          await change.commit();
+        } catch (err) {
+          await change.abort();
+          throw err;
+        }
+        console.log(`Created ${projectPath}`);
+        await recordRevision(req.user.username, projectPath, "create");
+
+        invalidateCache();
+        await recordAudit(req, { action: "work.create", workId: getWorkId(projectPath), diff: diffMeta(null, meta) });
+
+        const etag = await getWorkEtag(projectPath);
+        res.set("ETag", etag).json({
+          success: true,
+          message: "Work created successfully",
+          id: `${year}-${slug}`,
+          path: projectPath,
+          etag,
+        });
       });
     } catch (err) {
       console.error("Error creating work:", err);
@@ -272,11 +889,12 @@ app.post(
   },
 );
 
-// PUT /api/works/:id - Update existing work (CSRF protected)
+// PUT /api/works/:id - Update existing work (CSRF protected, needs If-Match)
 app.put(
   "/api/works/:id",
   csrfProtection,
-  upload.array("images", 20),
+  requirePermission("works:edit"),
+  uploadWorkFiles,
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -289,9 +907,17 @@ app.put(
         style,
         software,
         featured,
+        status,
+        publishAt,
         content: contentJson,
       } = req.body;
 
+      const videoError = validateVideoUploads(req.files);
+      if (videoError) {
+        await cleanupTempFiles(req.files);
+        return res.status(400).json({ error: videoError, message: videoError });
+      }
+
       const works = await getWorks();
       const work = works.find((w) => w.id === id);
 
@@ -300,99 +926,167 @@ app.put(
       }
 
       const oldPath = work.path;
-      let newPath = oldPath;
-
-      if (title && date) {
-        const newSlug = slugify(title);
-        const newYear = date.substring(0, 4);
-        const newProjectPath = getProjectPath(newYear, newSlug);
-
-        if (newProjectPath !== oldPath) {
-          validateProjectPath(newProjectPath, oldPath);
-          await fs.mkdir(path.dirname(newProjectPath), { recursive: true });
-          await fs.rename(oldPath, newProjectPath);
-          console.log(`Renamed folder from ${oldPath} to ${newProjectPath}`);
-          newPath = newProjectPath;
+      // Where the title and year put the work (locked too, so two works can't move there at once)
+      const newPath = title && date ? getProjectPath(date.substring(0, 4), slugify(title)) : oldPath;
+
+      await withWorkLock([oldPath, newPath], async () => {
+        // Renamed or deleted by a request that got the lock first
+        if (!fsSync.existsSync(oldPath)) {
+          await cleanupTempFiles(req.files);
+          const message = "This work was renamed or deleted in the meantime, reload and try again";
+          return res.status(409).json({ error: message, message });
+        }
+        if (!(await checkIfMatch(req, res, work))) {
+          return cleanupTempFiles(req.files);
         }
-      }
 
-      const metaPath = path.join(newPath, "meta.json");
-      let existingMeta = {};
+        let existingMeta = {};
+        try {
+          const metaContent = await fs.readFile(path.join(oldPath, "meta.json"), "utf8");
+          existingMeta = JSON.parse(metaContent);
+        } catch (err) {
+          console.log("No existing meta.json found, creating new one");
+        }
+        // As stored on disk, for the audit diff
+        const originalMeta = existingMeta;
 
-      try {
-        const metaContent = await fs.readFile(metaPath, "utf8");
-        existingMeta = JSON.parse(metaContent);
-      } catch (err) {
-        console.log("No existing meta.json found, creating new one");
-      }
+        // Merge into the current schema version (refused if CONFIG.migrations says so)
+        if (Object.keys(existingMeta).length > 0) {
+          existingMeta = upgradeProjectMeta(existingMeta, oldPath);
+        }
 
-      let content = contentJson ? JSON.parse(contentJson) : existingMeta.content || [];
-
-      // Process uploaded images and update content array
-      let fileIndex = 0;
-      let existingImageCount = content.filter(c => c.type === "image" && !c._pending).length;
-
-      for (let i = 0; i < content.length; i++) {
-        if (content[i]._pending && content[i].type === "image") {
-          if (req.files && req.files[fileIndex]) {
-            const file = req.files[fileIndex];
-            const ext = path.extname(file.originalname);
-            const imageNum = existingImageCount + fileIndex;
-            const imageName = imageNum === 0 ? `image${ext}` : `image${imageNum + 1}${ext}`;
-            const destPath = path.join(newPath, imageName);
-
-            await fs.copyFile(file.path, destPath);
-            await fs.unlink(file.path);
-
-            content[i] = {
-              type: "image",
-              src: imageName,
-              caption: content[i].caption || ""
-            };
-            fileIndex++;
-          }
+        const wasFeatured = Boolean(existingMeta.featured);
+        if (parseFeatured(featured, wasFeatured) !== wasFeatured && !can(req.user.role, "works:feature")) {
+          await cleanupTempFiles(req.files);
+          return sendPermissionDenied(res, "works:feature");
         }
-      }
 
-      // Clean up content items
-      content = content.map(item => {
-        const cleaned = { ...item };
-        delete cleaned._pending;
-        // For existing images, extract just filename from path
-        if (cleaned.type === "image" && cleaned.src) {
-          cleaned.src = cleaned.src.split('/').pop();
+        // Publishing, scheduling and unpublishing, and editing a work that
+        // isn't a draft, are for editors and owners
+        const publishingChanged =
+          (status && status !== getWorkStatus(existingMeta)) ||
+          (publishAt !== undefined && publishAt !== (existingMeta.publishAt || ""));
+        if ((publishingChanged || getWorkStatus(existingMeta) !== "draft") && !can(req.user.role, "works:publish")) {
+          await cleanupTempFiles(req.files);
+          return sendPermissionDenied(res, "works:publish");
         }
-        // Remove empty captions
-        if (cleaned.type === "image" && !cleaned.caption) {
-          delete cleaned.caption;
+
+        // Check the work fields before touching the filesystem
+        const fieldErrors = validateMeta(
+          buildMetaData(
+            { title, client, industry, contribution, date, style, software, featured, status, publishAt, content: [] },
+            existingMeta,
+          ),
+        );
+        if (fieldErrors.length > 0) {
+          await cleanupTempFiles(req.files);
+          return sendValidationErrors(res, fieldErrors);
+        }
+        if (newPath !== oldPath) {
+          validateProjectPath(newPath, oldPath);
         }
-        return cleaned;
-      });
 
-      const meta = buildMetaData(
-        {
-          title,
-          client,
-          industry,
-          contribution,
-          date,
-          style,
-          software,
-          featured,
-          content,
-        },
-        existingMeta,
-      );
+        // Works saved before revision history get their current state kept first
+        if (Object.keys(originalMeta).length > 0 && !(await hasRevisions(oldPath))) {
+          await recordRevision(null, oldPath, "baseline");
+        }
 
-      await fs.writeFile(metaPath, JSON.stringify(meta, null, 2));
-      console.log(`Updated meta.json at ${metaPath}`);
+        // New files and meta.json are staged; the folder is renamed and they
+        // replace the old ones only once everything is ready
+        const change = await beginWorkChange(rootPath, { projectPath: oldPath, targetPath: newPath });
+        let meta;
+        try {
+          let content = contentJson ? JSON.parse(contentJson) : existingMeta.content || [];
+
+          // Process uploaded images and update content array
+          const imageFiles = (req.files && req.files.images) || [];
+          let fileIndex = 0;
+          let existingImageCount = content.filter(c => c.type === "image" && !c._pending).length;
+
+          for (let i = 0; i < content.length; i++) {
+            if (content[i]._pending && content[i].type === "image") {
+              if (imageFiles[fileIndex]) {
+                const file = imageFiles[fileIndex];
+                const ext = path.extname(file.originalname);
+                const imageNum = existingImageCount + fileIndex;
+                const imageName = imageNum === 0 ? `image${ext}` : `image${imageNum + 1}${ext}`;
+
+                content[i] = await storeUploadedImage(file, change.dir, imageName, content[i].caption);
+                fileIndex++;
+              }
+            }
+          }
 
-      invalidateCache();
+          // Process uploaded comparison images
+          await storePendingComparisons(content, req.files, change);
+
+          // Process uploaded videos and their poster frames
+          const existingVideoCount = content.filter(c => c.type === "localVideo" && !c._pending).length;
+          await storePendingVideos(content, req.files, change.dir, existingVideoCount);
+
+          // Clean up content items
+          content = content
+            .map(cleanContentItem)
+            .filter(Boolean)
+            .map((item) => restoreImageVariants(item, existingMeta.content));
+          await resolveVideoThumbnails(content);
+
+          meta = buildMetaData(
+            {
+              title,
+              client,
+              industry,
+              contribution,
+              date,
+              style,
+              software,
+              featured,
+              status,
+              publishAt,
+              content,
+            },
+            existingMeta,
+          );
+
+          const errors = validateMeta(meta);
+          if (errors.length > 0) {
+            await change.abort();
+            return sendValidationErrors(res, errors);
+          }
 
-      res.json({
-        success: true,
-        message: "Work updated successfully",
-        path: newPath,
+          await change.writeMeta(meta);
+          await change.commit();
+        } catch (err) {
+          await change.abort();
+          throw err;
+        }
+        if (newPath !== oldPath) {
+          console.log(`Renamed folder from ${oldPath} to ${newPath}`);
+        }
+        console.log(`Updated meta.json at ${path.join(newPath, "meta.json")}`);
+        await recordRevision(req.user.username, newPath, "update");
+
+        invalidateCache();
+
+        // Featured toggles are logged separately from other edits
+        const diff = diffMeta(originalMeta, meta);
+        const changedFields = diff.filter((field) => field.path !== "schemaVersion");
+        const isFeatureToggle = changedFields.length === 1 && changedFields[0].path === "featured";
+        await recordAudit(req, {
+          action: isFeatureToggle ? "work.feature" : "work.update",
+          workId: getWorkId(newPath),
+          ...(newPath !== oldPath && { previousWorkId: id }),
+          diff,
+        });
+
+        const etag = await getWorkEtag(newPath);
+        res.set("ETag", etag).json({
+          success: true,
+          message: "Work updated successfully",
+          id: getWorkId(newPath),
+          path: newPath,
+          etag,
+        });
       });
     } catch (err) {
       console.error("Error updating work:", err);
@@ -404,8 +1098,163 @@ app.put(
   },
 );
 
-// DELETE /api/works/:id - Delete work (CSRF protected)
-app.delete("/api/works/:id", csrfProtection, async (req, res) => {
+// PATCH /api/works/:id - Change some fields or content items of a work (CSRF
+// protected, needs If-Match). The body is a merge patch (merge-patch+json,
+// also assumed for plain JSON) or a JSON Patch (json-patch+json) against
+// meta.json as stored. Omitted fields are left alone; null clears a field
+// (text fields become "", status falls back to published, featured to false).
+// JSON Patch paths such as /content/2/caption change single content items.
+// Nothing is uploaded: content may only refer to files the work already has.
+app.patch("/api/works/:id", csrfProtection, requirePermission("works:edit"), async (req, res) => {
+  try {
+    const contentType = req.is(MERGE_PATCH_TYPE, JSON_PATCH_TYPE, "application/json");
+    if (!contentType) {
+      const message = `Send the patch as ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`;
+      return res.status(415).json({ error: message, message });
+    }
+    const patchType = contentType === JSON_PATCH_TYPE ? JSON_PATCH_TYPE : MERGE_PATCH_TYPE;
+
+    const works = await getWorks();
+    const work = works.find((w) => w.id === req.params.id);
+    if (!work) {
+      return res.status(404).json({ error: "Work not found" });
+    }
+
+    // The patched title and date decide where the work ends up (locked too,
+    // so two works can't move there at once)
+    const oldPath = work.path;
+    if (!fsSync.existsSync(path.join(oldPath, "meta.json"))) {
+      const message = "This work was renamed or deleted in the meantime, reload and try again";
+      return res.status(409).json({ error: message, message });
+    }
+    const { existingMeta: currentMeta } = await readWorkMeta(oldPath);
+    let newPath;
+    try {
+      newPath = getMetaProjectPath(buildPatchedMeta(applyPatch(patchType, currentMeta, req.body), currentMeta), oldPath);
+    } catch (err) {
+      return sendPatchError(res, err);
+    }
+
+    await withWorkLock([oldPath, newPath], async () => {
+      if (!fsSync.existsSync(oldPath)) {
+        const message = "This work was renamed or deleted in the meantime, reload and try again";
+        return res.status(409).json({ error: message, message });
+      }
+      if (!(await checkIfMatch(req, res, work))) return;
+
+      // Patched again now that no one else can change the work
+      const { originalMeta, existingMeta } = await readWorkMeta(oldPath);
+      let patched;
+      try {
+        patched = applyPatch(patchType, existingMeta, req.body);
+      } catch (err) {
+        return sendPatchError(res, err);
+      }
+      // Judged by what the patch changed, not the paths it names
+      const patchedFields = getChangedFields(existingMeta, patched);
+      const unknownFields = patchedFields.filter((field) => !PATCHABLE_FIELDS.includes(field));
+      if (unknownFields.length > 0) {
+        const message = `These fields can't be patched: ${unknownFields.join(", ")}`;
+        return res.status(400).json({ error: "Invalid patch", message });
+      }
+      const meta = buildPatchedMeta(patched, existingMeta);
+      if (getMetaProjectPath(meta, oldPath) !== newPath) {
+        const message = "This work was changed in the meantime, reload and try again";
+        return res.status(409).json({ error: message, message });
+      }
+
+      if (meta.featured !== Boolean(existingMeta.featured) && !can(req.user.role, "works:feature")) {
+        return sendPermissionDenied(res, "works:feature");
+      }
+      // As for PUT, only editors and owners change anything past a draft
+      const publishingChanged =
+        getWorkStatus(meta) !== getWorkStatus(existingMeta) ||
+        (meta.publishAt || "") !== (existingMeta.publishAt || "");
+      if ((publishingChanged || getWorkStatus(existingMeta) !== "draft") && !can(req.user.role, "works:publish")) {
+        return sendPermissionDenied(res, "works:publish");
+      }
+
+      // Checked before the content is cleaned (which expects well-formed
+      // items) and again after
+      const errors = validateMeta(meta);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+      if (patchedFields.includes("content")) {
+        meta.content = meta.content
+          .map(cleanContentItem)
+          .filter(Boolean)
+          .map((item) => restoreImageVariants(item, existingMeta.content));
+        await resolveVideoThumbnails(meta.content);
+
+        const cleanedErrors = validateMeta(meta);
+        if (cleanedErrors.length > 0) {
+          return sendValidationErrors(res, cleanedErrors);
+        }
+      }
+      // New references must be to files in the folder (old ones may already be missing)
+      const referenced = new Set(getReferencedFiles(existingMeta).map(({ src }) => src));
+      const missingFiles = getReferencedFiles(meta)
+        .map(({ src }) => src)
+        .filter((src) => !referenced.has(src) && !fsSync.existsSync(path.join(oldPath, src)));
+      if (missingFiles.length > 0) {
+        const message = `Content refers to files the work doesn't have: ${[...new Set(missingFiles)].join(", ")}`;
+        return res.status(400).json({ error: "Invalid patch", message });
+      }
+      if (newPath !== oldPath) {
+        validateProjectPath(newPath, oldPath);
+      }
+
+      // Works saved before revision history get their current state kept first
+      if (!(await hasRevisions(oldPath))) {
+        await recordRevision(null, oldPath, "baseline");
+      }
+
+      // Only meta.json changes; the folder is renamed with it if needed
+      const change = await beginWorkChange(rootPath, { projectPath: oldPath, targetPath: newPath });
+      try {
+        await change.writeMeta(meta);
+        await change.commit();
+      } catch (err) {
+        await change.abort();
+        throw err;
+      }
+      if (newPath !== oldPath) {
+        console.log(`Renamed folder from ${oldPath} to ${newPath}`);
+      }
+      console.log(`Patched meta.json at ${path.join(newPath, "meta.json")}`);
+      await recordRevision(req.user.username, newPath, "update");
+
+      invalidateCache();
+
+      // Featured toggles are logged separately from other edits
+      const diff = diffMeta(originalMeta, meta);
+      const changedFields = diff.filter((field) => field.path !== "schemaVersion");
+      const isFeatureToggle = changedFields.length === 1 && changedFields[0].path === "featured";
+      await recordAudit(req, {
+        action: isFeatureToggle ? "work.feature" : "work.update",
+        workId: getWorkId(newPath),
+        ...(newPath !== oldPath && { previousWorkId: work.id }),
+        diff,
+      });
+
+      const etag = await getWorkEtag(newPath);
+      res.set("ETag", etag).json({
+        success: true,
+        message: "Work updated successfully",
+        id: getWorkId(newPath),
+        path: newPath,
+        etag,
+      });
+    });
+  } catch (err) {
+    console.error("Error patching work:", err);
+    res.status(500).json({ error: "Failed to update work", message: err.message });
+  }
+});
+
+// DELETE /api/works/:id - Move work to the trash (CSRF protected, needs If-Match)
+app.delete("/api/works/:id", csrfProtection, requirePermission("works:delete"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -416,14 +1265,40 @@ app.delete("/api/works/:id", csrfProtection, async (req, res) => {
       return res.status(404).json({ error: "Work not found" });
     }
 
-    await fs.rm(work.path, { recursive: true, force: true });
-    console.log(`Deleted folder: ${work.path}`);
+    await withWorkLock([work.path], async () => {
+      if (!fsSync.existsSync(work.path)) {
+        return res.status(404).json({ error: "Work not found" });
+      }
+      if (!(await checkIfMatch(req, res, work))) return;
 
-    invalidateCache();
+      let meta = null;
+      try {
+        meta = JSON.parse(await fs.readFile(path.join(work.path, "meta.json"), "utf8"));
+      } catch (err) {
+        console.warn(`Could not read ${work.path}/meta.json for the audit log:`, err.message);
+      }
 
-    res.json({
-      success: true,
-      message: "Work deleted successfully",
+      const entry = await moveToTrash(rootPath, work.path, {
+        workId: id,
+        title: work.title,
+        deletedBy: req.user.username,
+      });
+      console.log(`Moved folder to trash: ${work.path}`);
+
+      invalidateCache();
+      await recordAudit(req, {
+        action: "work.delete",
+        workId: id,
+        diff: diffMeta(meta, null),
+        details: { trashId: entry.id },
+      });
+      await purgeExpiredTrash(rootPath);
+
+      res.json({
+        success: true,
+        message: "Work moved to trash",
+        trashId: entry.id,
+      });
     });
   } catch (err) {
     console.error("Error deleting work:", err);
@@ -433,8 +1308,167 @@ app.delete("/api/works/:id", csrfProtection, async (req, res) => {
   }
 });
 
+// GET /api/works/:id/revisions - List a work's saved revisions, newest first
+app.get("/api/works/:id/revisions", requirePermission("works:read"), async (req, res) => {
+  try {
+    const works = await getWorks();
+    const work = works.find((w) => w.id === req.params.id);
+    if (!work) {
+      return res.status(404).json({ error: "Work not found" });
+    }
+    res.json(await listRevisions(work.path));
+  } catch (err) {
+    console.error("Error listing revisions:", err);
+    res.status(500).json({ error: "Failed to list revisions", message: err.message });
+  }
+});
+
+// GET /api/works/:id/revisions/:revision - One revision with the current
+// meta.json and the changes between them
+app.get("/api/works/:id/revisions/:revision", requirePermission("works:read"), async (req, res) => {
+  try {
+    const works = await getWorks();
+    const work = works.find((w) => w.id === req.params.id);
+    const revision = work ? await readRevision(work.path, req.params.revision) : null;
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const current = JSON.parse(await fs.readFile(path.join(work.path, "meta.json"), "utf8"));
+    res.json({ ...revision, current, diff: diffMeta(revision.meta, current) });
+  } catch (err) {
+    console.error("Error reading revision:", err);
+    res.status(500).json({ error: "Failed to read revision", message: err.message });
+  }
+});
+
+// POST /api/works/:id/revisions/:revision/restore - Roll a work back to a
+// revision (CSRF protected, If-Match optional). The rollback is itself saved
+// as a new revision.
+app.post(
+  "/api/works/:id/revisions/:revision/restore",
+  csrfProtection,
+  requirePermission("works:edit"),
+  async (req, res) => {
+    try {
+      const works = await getWorks();
+      const work = works.find((w) => w.id === req.params.id);
+      if (!work) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+
+      await withWorkLock([work.path], async () => {
+        const revision = fsSync.existsSync(work.path) ? await readRevision(work.path, req.params.revision) : null;
+        if (!revision) {
+          return res.status(404).json({ error: "Revision not found" });
+        }
+        if (!(await checkIfMatch(req, res, work, { required: false }))) return;
+
+        // Rolling back can't get round the publish and feature permissions,
+        // and only editors and owners roll back a work that isn't a draft
+        const current = JSON.parse(await fs.readFile(path.join(work.path, "meta.json"), "utf8"));
+        const publishingChanged =
+          getWorkStatus(revision.meta) !== getWorkStatus(current) ||
+          (revision.meta.publishAt || "") !== (current.publishAt || "");
+        if ((publishingChanged || getWorkStatus(current) !== "draft") && !can(req.user.role, "works:publish")) {
+          return sendPermissionDenied(res, "works:publish");
+        }
+        if (Boolean(revision.meta.featured) !== Boolean(current.featured) && !can(req.user.role, "works:feature")) {
+          return sendPermissionDenied(res, "works:feature");
+        }
+
+        const change = await beginWorkChange(rootPath, { projectPath: work.path, targetPath: work.path });
+        let meta;
+        try {
+          meta = await restoreRevision(work.path, revision.id, change.dir);
+          await change.commit();
+        } catch (err) {
+          await change.abort();
+          throw err;
+        }
+        console.log(`Restored ${work.path} to revision ${revision.id}`);
+        await recordRevision(req.user.username, work.path, "restore");
+
+        invalidateCache();
+        await recordAudit(req, {
+          action: "work.revert",
+          workId: work.id,
+          diff: diffMeta(current, meta),
+          details: { revision: revision.id },
+        });
+
+        res.json({ success: true, message: "Work restored" });
+      });
+    } catch (err) {
+      console.error("Error restoring revision:", err);
+      res.status(500).json({ error: "Failed to restore revision", message: err.message });
+    }
+  },
+);
+
+// GET /api/trash - List deleted works that can still be restored
+app.get("/api/trash", requirePermission("works:delete"), async (req, res) => {
+  try {
+    res.json(await listTrash(rootPath));
+  } catch (err) {
+    console.error("Error listing trash:", err);
+    res.status(500).json({ error: "Failed to list trash", message: err.message });
+  }
+});
+
+// POST /api/trash/:id/restore - Put a deleted work back (CSRF protected)
+app.post("/api/trash/:id/restore", csrfProtection, requirePermission("works:delete"), async (req, res) => {
+  try {
+    const entry = await readTrashEntry(rootPath, req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "Trash entry not found" });
+    }
+
+    await withWorkLock([path.join(rootPath, entry.path)], async () => {
+      if (fsSync.existsSync(path.join(rootPath, entry.path))) {
+        const message = `${entry.path} already exists, rename or delete that work first`;
+        return res.status(409).json({ error: message, message });
+      }
+
+      await restoreFromTrash(rootPath, entry.id);
+      console.log(`Restored ${entry.path} from trash`);
+
+      invalidateCache();
+      await recordAudit(req, { action: "work.restore", workId: entry.workId, details: { trashId: entry.id } });
+
+      res.json({ success: true, message: "Work restored", id: entry.workId });
+    });
+  } catch (err) {
+    console.error("Error restoring from trash:", err);
+    res.status(500).json({ error: "Failed to restore work", message: err.message });
+  }
+});
+
+// DELETE /api/trash/:id - Permanently delete a trashed work (CSRF protected)
+app.delete("/api/trash/:id", csrfProtection, requirePermission("works:delete"), async (req, res) => {
+  try {
+    const entry = await readTrashEntry(rootPath, req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "Trash entry not found" });
+    }
+
+    await purgeTrashEntry(rootPath, entry.id);
+    console.log(`Purged ${entry.path} from trash`);
+    await recordAudit(req, {
+      action: "work.purge",
+      workId: entry.workId,
+      details: { trashId: entry.id, title: entry.title },
+    });
+
+    res.json({ success: true, message: "Work permanently deleted" });
+  } catch (err) {
+    console.error("Error purging trash:", err);
+    res.status(500).json({ error: "Failed to purge work", message: err.message });
+  }
+});
+
 // POST /api/build - Run build script (CSRF protected)
-app.post("/api/build", csrfProtection, async (req, res) => {
+app.post("/api/build", csrfProtection, requirePermission("build"), async (req, res) => {
   try {
     const buildScriptPath = path.join(rootPath, "build-data.js");
 
@@ -445,6 +1479,7 @@ app.post("/api/build", csrfProtection, async (req, res) => {
 
     invalidateCache();
     const works = await getWorks(true);
+    await recordAudit(req, { action: "build", details: { success: true, workCount: works.length } });
 
     console.log("Build completed successfully");
     console.log("stdout:", stdout);
@@ -461,6 +1496,7 @@ app.post("/api/build", csrfProtection, async (req, res) => {
     });
   } catch (err) {
     console.error("Error running build:", err);
+    await recordAudit(req, { action: "build", details: { success: false, error: err.message } });
     res.status(500).json({
       error: "Build failed",
       message: err.message,
@@ -470,8 +1506,131 @@ app.post("/api/build", csrfProtection, async (req, res) => {
   }
 });
 
+// ==================== Watch Mode ====================
+
+// Build state: a change arriving mid-build is queued for one follow-up build
+let watchBuildRunning = false;
+let queuedWatchBuild = null;
+
+// Rebuild data.json (incrementally) after works/ or shared/ changes, then
+// tell open tabs to refresh their data ("data") or reload ("reload")
+async function runWatchBuild(changed, event) {
+  if (watchBuildRunning) {
+    queuedWatchBuild = {
+      changed: [...new Set([...(queuedWatchBuild ? queuedWatchBuild.changed : []), ...changed])],
+      event: event === "reload" || (queuedWatchBuild && queuedWatchBuild.event === "reload") ? "reload" : "data",
+    };
+    return;
+  }
+
+  watchBuildRunning = true;
+  try {
+    const { stdout } = await execAsync(`node "${path.join(rootPath, "build-data.js")}"`, { cwd: rootPath });
+    const summary = stdout.split("\n").find((line) => line.startsWith("Added:"));
+    console.log(`Rebuilt data.json${summary ? ` (${summary})` : ""}`);
+    invalidateCache();
+    liveReload.broadcast(event, { changed });
+  } catch (err) {
+    console.error("Watch build failed:", err.stderr || err.message);
+  }
+  watchBuildRunning = false;
+
+  if (queuedWatchBuild) {
+    const next = queuedWatchBuild;
+    queuedWatchBuild = null;
+    runWatchBuild(next.changed, next.event);
+  }
+}
+
+// React to a batch of changed files (paths relative to the site root)
+function handleWatchedChanges(changed) {
+  console.log(`Changed: ${changed.join(", ")}`);
+  const worksChanged = changed.some((file) => file.startsWith("works/"));
+  const sharedChanged = changed.some((file) => file.startsWith("shared/"));
+  const scriptChanged = changed.includes("script.js");
+
+  if (worksChanged) {
+    invalidateCache();
+  }
+  if (sharedChanged) {
+    console.log("Restart the server to use the changed shared/ modules in the API");
+  }
+
+  if (worksChanged || sharedChanged) {
+    runWatchBuild(changed, sharedChanged || scriptChanged ? "reload" : "data");
+  } else if (scriptChanged) {
+    liveReload.broadcast("reload", { changed });
+  } else {
+    liveReload.broadcast("css", { changed });
+  }
+}
+
+if (liveReload) {
+  app.get("/api/live-reload", liveReload.handler);
+
+  // Admin page with the live reload client
+  app.get(["/admin/", "/admin/index.html"], async (req, res) => {
+    const html = await fs.readFile(path.join(adminPath, "index.html"), "utf8");
+    res.type("html").send(liveReload.injectClient(html));
+  });
+
+  watchPaths(
+    [
+      { path: worksBasePath, recursive: true },
+      { path: path.join(rootPath, "shared"), recursive: true },
+      { path: rootPath, files: ["script.js", "styles.css"] },
+    ],
+    handleWatchedChanges,
+    {
+      rootDir: rootPath,
+      // Pages written by the build itself
+      ignore: (file) => /^works\/.+\/index\.html$/.test(file),
+    },
+  );
+}
+
+// ==================== Draft Previews ====================
+
+// GET /admin/preview/:id - Render a work's page whatever its status, for
+// signed-in users only (drafts aren't in data.json or built as pages)
+app.get("/admin/preview/:id", requirePermission("works:read"), async (req, res) => {
+  try {
+    const works = await getWorks();
+    const work = works.find((w) => w.id === req.params.id);
+    if (!work) {
+      return res.status(404).send("Work not found");
+    }
+
+    const status = CONFIG.publishing.labels[work.status] || work.status;
+    const html = renderWorkPage(toPublicWork(work), {
+      assetBase: "/",
+      notice: isWorkLive(work) ? `Preview (${status})` : `Preview (${status}, not on the public site)`,
+    });
+    res.set({ "X-Robots-Tag": "noindex", "Cache-Control": "no-store" });
+    res.type("html").send(liveReload ? liveReload.injectClient(html) : html);
+  } catch (err) {
+    console.error("Error rendering preview:", err);
+    res.status(500).send("Failed to render preview");
+  }
+});
+
 // ==================== Static Files ====================
 
+// Never serve dot files or folders: private data (CONFIG.dataDir), work
+// revisions, the trash and staged changes all live in them
+app.use((req, res, next) => {
+  let requestPath = req.path;
+  try {
+    requestPath = decodeURIComponent(requestPath);
+  } catch (err) {
+    return res.status(400).send("Bad request");
+  }
+  if (requestPath.split("/").some((segment) => segment.startsWith("."))) {
+    return res.status(404).send("Not found");
+  }
+  next();
+});
+
 // Serve shared modules for browser
 app.use("/shared", express.static(path.join(rootPath, "shared")));
 
@@ -481,10 +1640,12 @@ app.use("/admin", express.static(adminPath));
 // Serve works directory
 app.use("/works", express.static(worksBasePath));
 
-// Serve main portfolio (root)
+// Serve main portfolio (root). index.html goes through the fallback below so
+// ?work= links get per-work share tags.
+app.get("/index.html", sendIndexPage);
 app.use(
   express.static(rootPath, {
-    index: "index.html",
+    index: false,
     extensions: ["html"],
   }),
 );
@@ -495,13 +1656,32 @@ app.get("/{*path}", (req, res) => {
   if (req.path.startsWith("/api/") || req.path.includes(".")) {
     return res.status(404).send("Not found");
   }
-  res.sendFile(path.join(rootPath, "index.html"));
+  sendIndexPage(req, res);
 });
 
 // ==================== Start Server ====================
 
-app.listen(PORT, () => {
-  console.log(`Portfolio server running on http://localhost:${PORT}`);
-  console.log(`Admin interface: http://localhost:${PORT}/admin`);
-  console.log(`Works directory: ${worksBasePath}`);
-});
+// Roll back work changes a crash interrupted before taking requests
+recoverWorkChanges(rootPath)
+  .then((recovered) => {
+    recovered.forEach((folder) => console.warn(`Rolled back an interrupted change to ${folder}`));
+  })
+  .catch((err) => console.error("Error recovering interrupted work changes:", err.message))
+  .finally(() => {
+    app.listen(PORT, () => {
+      console.log(`Portfolio server running on http://localhost:${PORT}`);
+      console.log(`Admin interface: http://localhost:${PORT}/admin`);
+      console.log(`Works directory: ${worksBasePath}`);
+      if (watchMode) {
+        console.log("Watching works/, shared/, script.js and styles.css for changes");
+      }
+      if (loadUsers(rootPath).length === 0) {
+        console.warn("No admin users yet, add one with: node users.js add <username>");
+      }
+      purgeExpiredTrash(rootPath)
+        .then((purged) => {
+          if (purged.length > 0) console.log(`Purged ${purged.length} work(s) deleted over ${CONFIG.trash.retentionDays} days ago`);
+        })
+        .catch((err) => console.error("Error purging trash:", err.message));
+    });
+  });
@@ -0,0 +1,157 @@
+/**
+ * Append-only audit log of admin changes: who did what to which work, with a
+ * field-level diff of meta.json. Stored as JSON Lines (CONFIG.audit.file in
+ * CONFIG.dataDir).
+ * Used by: server.js
+ */
+
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const CONFIG = require("./config");
+
+// Actions recorded in the log
+const AUDIT_ACTIONS = [
+  "work.create",
+  "work.update",
+  "work.feature",
+  "work.delete",
+  "work.revert",
+  "work.restore",
+  "work.purge",
+  "build",
+  "user.create",
+  "user.update",
+  "user.delete",
+];
+
+/**
+ * Get the path of the audit log. A log left in the site root by older
+ * versions (where it could be downloaded) is moved into CONFIG.dataDir.
+ * @param {string} rootDir - Path to site root
+ * @returns {string} Absolute path
+ */
+function getAuditFile(rootDir) {
+  const auditFile = path.join(rootDir, CONFIG.dataDir, CONFIG.audit.file);
+  const legacyFile = path.join(rootDir, CONFIG.audit.file);
+  if (!fs.existsSync(auditFile) && fs.existsSync(legacyFile)) {
+    fs.mkdirSync(path.dirname(auditFile), { recursive: true, mode: 0o700 });
+    fs.renameSync(legacyFile, auditFile);
+  }
+  return auditFile;
+}
+
+// Object that isn't an array or null
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Join a property name or array index onto a diff path ("content[2].caption")
+function joinDiffPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Diff two meta.json objects field by field (arrays compared by index)
+ * @param {Object|null} before - Meta before the change (null when created)
+ * @param {Object|null} after - Meta after the change (null when deleted)
+ * @returns {Array<{path: string, before?: *, after?: *}>} Changed paths such as
+ *   "content[2].caption"; before/after are left out where the value didn't exist
+ */
+function diffMeta(before, after) {
+  const changes = [];
+
+  const walk = (a, b, basePath) => {
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+      keys.forEach((key) => walk(a[key], b[key], joinDiffPath(basePath, key)));
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        walk(a[i], b[i], joinDiffPath(basePath, i));
+      }
+    } else {
+      const change = { path: basePath };
+      if (a !== undefined) change.before = a;
+      if (b !== undefined) change.after = b;
+      changes.push(change);
+    }
+  };
+
+  walk(before || {}, after || {}, "");
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {string} rootDir - Path to site root
+ * @param {Object} entry
+ * @param {string} entry.actor - Username
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} [entry.workId] - Work affected
+ * @param {string} [entry.previousWorkId] - Work id before a rename
+ * @param {Array} [entry.diff] - Changes from diffMeta
+ * @param {Object} [entry.details] - Anything else worth keeping (build output, user changed)
+ * @returns {Promise<Object>} The stored entry (with id and timestamp)
+ */
+async function appendAuditEntry(rootDir, entry) {
+  const stored = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...entry,
+  };
+  const auditFile = getAuditFile(rootDir);
+  await fsPromises.mkdir(path.dirname(auditFile), { recursive: true, mode: 0o700 });
+  await fsPromises.appendFile(auditFile, `${JSON.stringify(stored)}\n`, { encoding: "utf8", mode: 0o600 });
+  return stored;
+}
+
+/**
+ * Read audit entries, newest first
+ * @param {string} rootDir - Path to site root
+ * @param {Object} [filters]
+ * @param {string} [filters.workId] - Only entries for this work (following it back through renames)
+ * @param {string} [filters.actor] - Only entries by this user
+ * @param {string} [filters.action] - Only this action
+ * @param {number} [filters.limit=CONFIG.audit.defaultLimit] - Maximum entries
+ * @returns {Promise<Object[]>} Matching entries
+ */
+async function readAuditLog(rootDir, filters = {}) {
+  const auditFile = getAuditFile(rootDir);
+  if (!fs.existsSync(auditFile)) return [];
+
+  const limit = filters.limit || CONFIG.audit.defaultLimit;
+  const lines = (await fsPromises.readFile(auditFile, "utf8")).split("\n");
+  const entries = [];
+  // Reading newest first, a rename adds the work's earlier id
+  const workIds = new Set(filters.workId ? [filters.workId] : []);
+
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (err) {
+      continue; // A partly written last line
+    }
+    if (filters.workId) {
+      if (!workIds.has(entry.workId)) continue;
+      if (entry.previousWorkId) workIds.add(entry.previousWorkId);
+    }
+    if (filters.actor && entry.actor !== filters.actor) continue;
+    if (filters.action && entry.action !== filters.action) continue;
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffMeta,
+  appendAuditEntry,
+  readAuditLog,
+};
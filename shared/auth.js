@@ -0,0 +1,329 @@
+/**
+ * Admin accounts and sessions: scrypt password hashes and roles in a local
+ * users file, in-memory sessions identified by a cookie, each with its own
+ * CSRF token
+ * Used by: server.js, users.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const CONFIG = require("./config");
+const { ROLES, isRole } = require("./permissions");
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt parameters (stored with each hash so they can be raised later)
+const SCRYPT_COST = 16384;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+
+// Accounts created before roles existed keep full access
+const LEGACY_ROLE = "owner";
+
+/**
+ * Hash a password for the users file
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "scrypt$<cost>$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${salt}$${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a stored hash (constant time)
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length, { N: Number(cost) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked for unknown usernames so that a login costs one scrypt either way
+// and response times don't reveal which usernames exist
+const DUMMY_SALT = crypto.randomBytes(16).toString("hex");
+const DUMMY_HASH = `scrypt$${SCRYPT_COST}$${DUMMY_SALT}$${crypto
+  .scryptSync("", DUMMY_SALT, KEY_LENGTH, { N: SCRYPT_COST })
+  .toString("hex")}`;
+
+/**
+ * Get the path of the users file. A file left in the site root by older
+ * versions (where it could be downloaded) is moved into CONFIG.dataDir.
+ * @param {string} rootDir - Path to site root
+ * @returns {string} Absolute path
+ */
+function getUsersFile(rootDir) {
+  const usersFile = path.join(rootDir, CONFIG.dataDir, CONFIG.auth.usersFile);
+  const legacyFile = path.join(rootDir, CONFIG.auth.usersFile);
+  if (!fs.existsSync(usersFile) && fs.existsSync(legacyFile)) {
+    fs.mkdirSync(path.dirname(usersFile), { recursive: true, mode: 0o700 });
+    fs.renameSync(legacyFile, usersFile);
+  }
+  return usersFile;
+}
+
+/**
+ * Read admin accounts
+ * @param {string} rootDir - Path to site root
+ * @returns {Array<{username: string, passwordHash: string, role: string, createdAt: string}>}
+ *   Accounts (empty when the users file doesn't exist yet)
+ */
+function loadUsers(rootDir) {
+  const usersFile = getUsersFile(rootDir);
+  if (!fs.existsSync(usersFile)) return [];
+  const data = JSON.parse(fs.readFileSync(usersFile, "utf8"));
+  return Array.isArray(data.users) ? data.users.map((user) => ({ role: LEGACY_ROLE, ...user })) : [];
+}
+
+/**
+ * Write admin accounts (readable by the owner only)
+ * @param {string} rootDir - Path to site root
+ * @param {Array} users - Accounts
+ */
+function saveUsers(rootDir, users) {
+  const usersFile = getUsersFile(rootDir);
+  fs.mkdirSync(path.dirname(usersFile), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(usersFile, JSON.stringify({ users }, null, 2), { encoding: "utf8", mode: 0o600 });
+}
+
+/**
+ * Find an account by username
+ * @param {string} rootDir - Path to site root
+ * @param {string} username - Username
+ * @returns {Object|null} The account or null
+ */
+function findUser(rootDir, username) {
+  return loadUsers(rootDir).find((user) => user.username === username) || null;
+}
+
+/**
+ * Check a new password against the password rules
+ * @param {string} password - Plain-text password
+ * @throws {Error} If the password is too short
+ */
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Throw if a change would leave no owner to manage users
+ * @param {Array} users - Accounts after the change
+ */
+function checkOwnerRemains(users) {
+  if (!users.some((user) => user.role === "owner")) {
+    throw new Error("There must be at least one owner");
+  }
+}
+
+/**
+ * Add an account
+ * @param {string} rootDir - Path to site root
+ * @param {Object} details
+ * @param {string} details.username - Username (letters, digits, dots, dashes, underscores)
+ * @param {string} details.password - Plain-text password
+ * @param {string} details.role - One of ROLES
+ * @returns {Promise<Object>} The new account
+ * @throws {Error} If the details are invalid or the username is taken
+ */
+async function addUser(rootDir, { username, password, role }) {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    throw new Error("Usernames may only contain letters, digits, dots, dashes and underscores");
+  }
+  if (!isRole(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+  checkPassword(password);
+
+  const users = loadUsers(rootDir);
+  if (users.some((user) => user.username === username)) {
+    throw new Error(`User ${username} already exists`);
+  }
+  const user = { username, passwordHash: await hashPassword(password), role, createdAt: new Date().toISOString() };
+  users.push(user);
+  checkOwnerRemains(users);
+  saveUsers(rootDir, users);
+  return user;
+}
+
+/**
+ * Change an account's role and/or password
+ * @param {string} rootDir - Path to site root
+ * @param {string} username - Username
+ * @param {Object} changes
+ * @param {string} [changes.role] - New role
+ * @param {string} [changes.password] - New plain-text password
+ * @returns {Promise<Object>} The updated account
+ * @throws {Error} If the user doesn't exist, a change is invalid or no owner would remain
+ */
+async function updateUser(rootDir, username, { role, password }) {
+  const users = loadUsers(rootDir);
+  const user = users.find((u) => u.username === username);
+  if (!user) throw new Error(`No user named ${username}`);
+
+  if (role !== undefined) {
+    if (!isRole(role)) throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+    user.role = role;
+  }
+  if (password !== undefined) {
+    checkPassword(password);
+    user.passwordHash = await hashPassword(password);
+  }
+  checkOwnerRemains(users);
+  saveUsers(rootDir, users);
+  return user;
+}
+
+/**
+ * Remove an account
+ * @param {string} rootDir - Path to site root
+ * @param {string} username - Username
+ * @throws {Error} If the user doesn't exist or is the last owner
+ */
+function removeUser(rootDir, username) {
+  const users = loadUsers(rootDir);
+  if (!users.some((user) => user.username === username)) {
+    throw new Error(`No user named ${username}`);
+  }
+  const remaining = users.filter((user) => user.username !== username);
+  if (remaining.length > 0) checkOwnerRemains(remaining);
+  saveUsers(rootDir, remaining);
+}
+
+/**
+ * Check a username and password against the users file
+ * @param {string} rootDir - Path to site root
+ * @param {string} username - Username
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object|null>} The account, or null when the login is wrong
+ */
+async function authenticate(rootDir, username, password) {
+  if (typeof username !== "string" || typeof password !== "string") return null;
+  const user = loadUsers(rootDir).find((u) => u.username === username);
+  const stored = user ? user.passwordHash : DUMMY_HASH;
+  const valid = await verifyPassword(password, stored);
+  return user && valid ? user : null;
+}
+
+/**
+ * Create an in-memory session store
+ * @param {Object} [options]
+ * @param {number} [options.ttl=CONFIG.auth.sessionTtl] - Idle time before expiry (ms)
+ * @returns {{create: Function, get: Function, destroy: Function, destroyForUser: Function}} Session store
+ */
+function createSessionStore(options = {}) {
+  const ttl = options.ttl || CONFIG.auth.sessionTtl;
+  const sessions = new Map();
+
+  // Drop expired sessions periodically
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions.entries()) {
+      if (session.expires < now) sessions.delete(id);
+    }
+  }, 300000).unref();
+
+  return {
+    // Start a session for a user
+    create(username) {
+      const session = {
+        id: crypto.randomBytes(32).toString("hex"),
+        username,
+        csrfToken: crypto.randomBytes(32).toString("hex"),
+        expires: Date.now() + ttl,
+      };
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    // Look up a live session and extend it
+    get(id) {
+      const session = id && sessions.get(id);
+      if (!session) return null;
+      if (session.expires < Date.now()) {
+        sessions.delete(id);
+        return null;
+      }
+      session.expires = Date.now() + ttl;
+      return session;
+    },
+
+    destroy(id) {
+      sessions.delete(id);
+    },
+
+    // End all of a user's sessions (but the one given in exceptId)
+    destroyForUser(username, exceptId) {
+      for (const [id, session] of sessions.entries()) {
+        if (session.username === username && id !== exceptId) sessions.delete(id);
+      }
+    },
+  };
+}
+
+/**
+ * Parse a Cookie header. Values that can't be decoded are left out.
+ * @param {string} [header=""] - Cookie header value
+ * @returns {Object<string, string>} Cookie values by name
+ */
+function parseCookies(header = "") {
+  const cookies = {};
+  header.split(";").forEach((pair) => {
+    const index = pair.indexOf("=");
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (err) {
+      // Badly encoded (maybe set by another app on the domain): skip it
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value for the session cookie
+ * @param {string} value - Session id ("" to clear the cookie)
+ * @param {Object} options
+ * @param {boolean} options.secure - Add the Secure flag
+ * @param {number} [options.maxAge] - Lifetime in ms (0 expires the cookie)
+ * @returns {string} Set-Cookie value
+ */
+function serializeSessionCookie(value, { secure, maxAge }) {
+  const parts = [
+    `${CONFIG.auth.cookieName}=${encodeURIComponent(value)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Strict",
+  ];
+  if (maxAge !== undefined) parts.push(`Max-Age=${Math.floor(maxAge / 1000)}`);
+  if (secure) parts.push("Secure");
+  return parts.join("; ");
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  loadUsers,
+  findUser,
+  addUser,
+  updateUser,
+  removeUser,
+  authenticate,
+  createSessionStore,
+  parseCookies,
+  serializeSessionCookie,
+};
@@ -4,6 +4,17 @@
  */
 
 const CONFIG = {
+  // Site identity (used for page titles and share tags)
+  site: {
+    name: "Joseph Nickson",
+    title: "Joseph Nickson | Portfolio",
+    // Public base URL (e.g. "https://example.com/"). Needed for absolute
+    // og:image/og:url in generated pages; the server falls back to the request
+    // host. The SITE_URL environment variable overrides it (the Pages workflow
+    // sets it to the deployment's URL).
+    url: "",
+  },
+
   // Fields that support multiple semicolon-separated values
   multiValueFields: ["client", "contribution", "software", "style"],
 
@@ -13,6 +24,21 @@ const CONFIG = {
   // Work types
   workTypes: ["image", "video"],
 
+  // Publishing states (meta.json "status"). Works without a status are
+  // published. Only published and scheduled works whose publishAt has passed
+  // are built into data.json; scheduled works go live on the first build after it.
+  publishing: {
+    statuses: ["draft", "scheduled", "published", "archived"],
+    labels: {
+      draft: "Draft",
+      scheduled: "Scheduled",
+      published: "Published",
+      archived: "Archived",
+    },
+    // Status of works created in the admin
+    newWorkStatus: "draft",
+  },
+
   // Field labels for display
   fieldLabels: {
     client: "Client",
@@ -31,8 +57,66 @@ const CONFIG = {
     { key: "contribution", label: "Discipline" },
     { key: "software", label: "Software" },
     { key: "style", label: "Style" },
+    { key: "industry", label: "Industry" },
   ],
 
+  // Responsive image derivatives (generated on upload and by optimize-images.js)
+  images: {
+    // Target widths in pixels (widths larger than the original are skipped)
+    widths: [480, 960, 1600, 2400],
+    // Modern formats generated alongside the original format, in order of preference
+    formats: ["avif", "webp"],
+    quality: 80,
+    // Longest edge of the blur-up placeholder embedded in data.json
+    placeholderSize: 16,
+    // `sizes` attribute per rendering context
+    sizes: {
+      thumbnail: "320px",
+      carousel: "(max-width: 768px) 100vw, 80vw",
+      modal: "min(800px, 85vw)",
+      gallery: "(max-width: 768px) 100vw, 80vw",
+    },
+  },
+
+  // Index section layouts and sortable columns (in table column order)
+  index: {
+    layouts: [
+      { key: "grid", label: "Grid" },
+      { key: "table", label: "Table" },
+      { key: "timeline", label: "Timeline" },
+    ],
+    defaultLayout: "table",
+    sortFields: [
+      { key: "title", label: "Title" },
+      { key: "client", label: "Client" },
+      { key: "contribution", label: "Discipline" },
+      { key: "software", label: "Software" },
+      { key: "date", label: "Year" },
+    ],
+  },
+
+  // Full-text search (search-index.json, Index search box)
+  search: {
+    // Score per occurrence of a term, by where it appears
+    weights: { title: 5, meta: 2, caption: 2, text: 1 },
+    // Shortest query word matched as a prefix ("cas" -> "castle")
+    minPrefixLength: 2,
+    // Shortest query word matched with typos ("catsle" -> "castle")
+    minFuzzyLength: 4,
+  },
+
+  // Self-hosted video uploads (localVideo content items)
+  localVideo: {
+    extensions: [".mp4", ".webm"],
+  },
+
+  // meta.json schema migrations (shared/migrations, run with migrate-content.js)
+  migrations: {
+    // Projects below the current schemaVersion: "upgrade" them in memory when
+    // scanned, or "refuse" to build/serve them until they are migrated
+    outdatedProjects: "upgrade",
+  },
+
   // Required fields for work creation/validation
   requiredFields: ["title", "date"],
 
@@ -42,6 +126,52 @@ const CONFIG = {
     apiPrefix: "/api",
   },
 
+  // Private server data, relative to the site root (keep out of version
+  // control). Dot folders are never served over HTTP (server.js).
+  dataDir: ".data",
+
+  // Admin accounts and sessions (server.js; manage accounts with users.js)
+  auth: {
+    // Hashed credentials, inside dataDir
+    usersFile: "users.json",
+    cookieName: "portfolio_session",
+    // Idle time before a session expires (ms)
+    sessionTtl: 8 * 60 * 60 * 1000,
+    // Secure cookie flag: "auto" sets it for HTTPS requests, or true/false
+    secureCookies: "auto",
+  },
+
+  // Audit log of admin changes (server.js), one JSON entry per line
+  audit: {
+    // Inside dataDir
+    file: "audit.jsonl",
+    // Entries returned by GET /api/audit when no limit is given
+    defaultLimit: 100,
+  },
+
+  // Work history (server.js): a snapshot of meta.json and its media on every
+  // save, kept inside each project folder
+  revisions: {
+    dir: ".revisions",
+    // Oldest snapshots beyond this are dropped (0 keeps them all)
+    maxPerWork: 50,
+  },
+
+  // Deleted works (server.js), restorable from the admin until purged
+  trash: {
+    // Relative to the site root (keep out of version control)
+    dir: ".trash",
+    // Purged automatically after this many days (0 keeps them until purged by hand)
+    retentionDays: 30,
+  },
+
+  // Crash-safe work changes (server.js): new files are staged here and only
+  // moved into works/ once the whole change is ready
+  staging: {
+    // Relative to the site root, on the same disk as works/ (keep out of version control)
+    dir: ".staging",
+  },
+
   // Default meta.json structure
   defaultMeta: {
     title: "",
@@ -0,0 +1,124 @@
+/**
+ * Responsive image derivatives (resized copies in modern formats)
+ * and build-time image placeholders
+ * Used by: server.js, optimize-images.js, shared/scanner.js
+ */
+
+const path = require("path");
+const sharp = require("sharp");
+const CONFIG = require("./config");
+
+// Source formats we can resize; anything else (gif, svg) is served as-is
+const RESIZABLE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".avif", ".tif", ".tiff"];
+
+// Formats usable as the <img> fallback; other sources fall back to JPEG
+const FALLBACK_FORMATS = ["jpeg", "png", "webp", "avif"];
+
+/**
+ * Check whether variants can be generated for an image file
+ * @param {string} filename - Image filename or path
+ * @returns {boolean} True if the format is supported
+ */
+function canGenerateVariants(filename) {
+  return RESIZABLE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Build the filename of a variant (e.g. "image2.jpg" -> "image2-960w.webp")
+ * @param {string} filename - Original image filename
+ * @param {number} width - Variant width
+ * @param {string} format - Variant format
+ * @returns {string} Variant filename
+ */
+function getVariantName(filename, width, format) {
+  const base = path.basename(filename, path.extname(filename));
+  const ext = format === "jpeg" ? "jpg" : format;
+  return `${base}-${width}w.${ext}`;
+}
+
+/**
+ * Check whether a filename is a generated variant of another image
+ * @param {string} filename - Filename to test
+ * @returns {boolean} True for names like "image-960w.webp"
+ */
+function isVariantName(filename) {
+  return /-\d+w\.[a-z0-9]+$/i.test(filename);
+}
+
+/**
+ * Generate resized variants of an image next to the original
+ * @param {string} imagePath - Path to the original image
+ * @returns {Promise<{width: number, height: number, variants: Array}>} Image
+ *   dimensions and variant entries ({src, width, format}) with filenames
+ *   relative to the image's folder, preferred formats first
+ */
+async function generateImageVariants(imagePath) {
+  const dir = path.dirname(imagePath);
+  const filename = path.basename(imagePath);
+  const metadata = await sharp(imagePath).metadata();
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const originalFormat = FALLBACK_FORMATS.includes(metadata.format) ? metadata.format : "jpeg";
+  const formats = [...new Set([...CONFIG.images.formats, originalFormat])]
+    .filter((format) => format !== originalFormat)
+    .concat(originalFormat);
+
+  const widths = CONFIG.images.widths.filter((w) => w < width);
+  if (widths.length === 0) widths.push(width);
+
+  const variants = [];
+  for (const format of formats) {
+    for (const variantWidth of widths) {
+      const variantName = getVariantName(filename, variantWidth, format);
+      await sharp(imagePath)
+        .rotate()
+        .resize({ width: variantWidth })
+        .toFormat(format, { quality: CONFIG.images.quality })
+        .toFile(path.join(dir, variantName));
+      variants.push({ src: variantName, width: variantWidth, format });
+    }
+  }
+
+  return { width, height, variants };
+}
+
+/**
+ * Compute a tiny blurred placeholder (LQIP), the dominant colour and the
+ * display dimensions of an image
+ * @param {string} imagePath - Path to the image
+ * @returns {Promise<{placeholder: string, color: string, width: number, height: number}>}
+ *   Base64 data URI, hex colour and dimensions (after EXIF rotation)
+ */
+async function generatePlaceholder(imagePath) {
+  const size = CONFIG.images.placeholderSize;
+  const metadata = await sharp(imagePath).metadata();
+  const rotated = metadata.orientation >= 5;
+  const buffer = await sharp(imagePath)
+    .rotate()
+    .resize(size, size, { fit: "inside" })
+    .webp({ quality: 50 })
+    .toBuffer();
+  const { dominant } = await sharp(imagePath).stats();
+  const color = "#" + [dominant.r, dominant.g, dominant.b]
+    .map((channel) => channel.toString(16).padStart(2, "0"))
+    .join("");
+
+  return {
+    placeholder: `data:image/webp;base64,${buffer.toString("base64")}`,
+    color,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+  };
+}
+
+module.exports = {
+  canGenerateVariants,
+  getVariantName,
+  isVariantName,
+  generateImageVariants,
+  generatePlaceholder,
+};
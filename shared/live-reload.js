@@ -0,0 +1,51 @@
+/**
+ * Live reload client for the dev server (node server.js --watch), which adds
+ * this script to the pages it serves. Listens for change events:
+ *   reload - page code changed, reload the tab
+ *   css    - styles.css changed, swap stylesheets in place
+ *   data   - works changed and data.json was rebuilt; pages that registered
+ *            onDataChange refresh themselves, others reload
+ * Used by: index.html, admin/index.html (injected by server.js)
+ */
+
+(function () {
+  const dataHandlers = [];
+
+  // Re-request stylesheets with a cache-busting query
+  function reloadStylesheets() {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      const url = new URL(link.href);
+      if (url.origin !== location.origin) return;
+      url.searchParams.set("reload", Date.now());
+      link.href = url.toString();
+    });
+  }
+
+  function connect() {
+    if (typeof EventSource === "undefined") return;
+    const source = new EventSource("/api/live-reload");
+
+    source.addEventListener("reload", () => location.reload());
+    source.addEventListener("css", reloadStylesheets);
+    source.addEventListener("data", (event) => {
+      if (dataHandlers.length === 0) {
+        location.reload();
+        return;
+      }
+      const detail = JSON.parse(event.data);
+      dataHandlers.forEach((handler) => handler(detail));
+    });
+  }
+
+  window.PortfolioLiveReload = {
+    /**
+     * Refresh in place when works change instead of reloading the tab
+     * @param {Function} handler - Receives {changed: string[]} (paths relative to the site root)
+     */
+    onDataChange(handler) {
+      dataHandlers.push(handler);
+    },
+  };
+
+  connect();
+})();
@@ -0,0 +1,135 @@
+/**
+ * Build manifest for incremental builds: per-project file hashes and the
+ * work data and publishing state built from them, so unchanged projects can
+ * be reused
+ * Used by: build-data.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Bump when the manifest layout changes; older manifests trigger a full build
+const MANIFEST_VERSION = 2;
+
+// Files written into project folders by the build itself
+const GENERATED_FILES = ["index.html"];
+
+// Sources whose changes affect every work (forces a full rebuild)
+const BUILD_SOURCES = ["build-data.js", "package.json", "shared"];
+
+/**
+ * Hash a file's contents
+ * @param {string} filePath - Path to file
+ * @returns {string} SHA-1 hex digest
+ */
+function hashFile(filePath) {
+  return crypto.createHash("sha1").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * List files below a directory (relative paths, sorted)
+ * @param {string} dir - Directory to walk
+ * @param {string} [prefix=""] - Prefix for relative paths
+ * @returns {string[]} Relative file paths
+ */
+function listFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith("."))
+    .flatMap((entry) => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+      return entry.isFile() ? [relative] : [];
+    })
+    .sort();
+}
+
+/**
+ * Fingerprint the code that turns meta.json into work data and pages
+ * @param {string} rootDir - Site root
+ * @returns {string} Hash of all build sources
+ */
+function getBuildKey(rootDir) {
+  const hash = crypto.createHash("sha1").update(String(MANIFEST_VERSION));
+  for (const source of BUILD_SOURCES) {
+    const sourcePath = path.join(rootDir, source);
+    if (!fs.existsSync(sourcePath)) continue;
+    const files = fs.statSync(sourcePath).isDirectory()
+      ? listFiles(sourcePath).map((file) => `${source}/${file}`)
+      : [source];
+    files.forEach((file) => hash.update(file).update(hashFile(path.join(rootDir, file))));
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Hash every file in a project folder, reusing previous hashes for files
+ * whose size and mtime haven't changed
+ * @param {string} projectPath - Path to project folder
+ * @param {Object} [previousFiles={}] - files entry from the previous manifest
+ * @returns {{files: Object<string, {size: number, mtimeMs: number, hash: string}>, hash: string}}
+ *   Per-file entries and a combined project hash
+ */
+function hashProject(projectPath, previousFiles = {}) {
+  const files = {};
+  const combined = crypto.createHash("sha1");
+
+  for (const name of listFiles(projectPath)) {
+    if (GENERATED_FILES.includes(name)) continue;
+
+    const { size, mtimeMs } = fs.statSync(path.join(projectPath, name));
+    const previous = previousFiles[name];
+    const hash = previous && previous.size === size && previous.mtimeMs === mtimeMs
+      ? previous.hash
+      : hashFile(path.join(projectPath, name));
+
+    files[name] = { size, mtimeMs, hash };
+    combined.update(name).update(hash);
+  }
+
+  return { files, hash: combined.digest("hex") };
+}
+
+/**
+ * Create an empty build manifest
+ * @param {string} buildKey - Current build key (from getBuildKey)
+ * @returns {{version: number, buildKey: string, projects: Object}} Manifest
+ */
+function createManifest(buildKey) {
+  return { version: MANIFEST_VERSION, buildKey, projects: {} };
+}
+
+/**
+ * Read a build manifest
+ * @param {string} manifestPath - Path to manifest file
+ * @param {string} buildKey - Current build key (from getBuildKey)
+ * @returns {{version: number, buildKey: string, projects: Object}} Manifest,
+ *   empty when missing, unreadable or built by different code
+ */
+function loadManifest(manifestPath, buildKey) {
+  const empty = createManifest(buildKey);
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION || manifest.buildKey !== buildKey) return empty;
+    return manifest;
+  } catch (err) {
+    return empty;
+  }
+}
+
+/**
+ * Write a build manifest
+ * @param {string} manifestPath - Path to manifest file
+ * @param {Object} manifest - Manifest object
+ */
+function saveManifest(manifestPath, manifest) {
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest), "utf8");
+}
+
+module.exports = {
+  createManifest,
+  getBuildKey,
+  hashProject,
+  loadManifest,
+  saveManifest,
+};
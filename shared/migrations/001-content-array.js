@@ -0,0 +1,87 @@
+/**
+ * Migration 1: legacy fields (type, images, videoId, info) -> content array
+ *
+ * Legacy format:
+ *   type: "image" | "video"
+ *   images: ["image.jpg"] or [{src: "image.jpg", caption: "..."}]
+ *   videoId: "youtube-id"
+ *   info: "description text"
+ *
+ * Version 1 format:
+ *   content: [
+ *     { type: "video", videoId: "youtube-id" },
+ *     { type: "image", src: "image.jpg", caption: "..." },
+ *     { type: "text", text: "description" }
+ *   ]
+ */
+
+const { getImageSrc, getImageCaption } = require("../utils");
+
+// Filled in when missing, in both directions
+const WORK_FIELDS = ["title", "client", "industry", "contribution", "date", "style", "software"];
+
+// Fields each direction rewrites; every other key (status, publishAt and
+// anything added later) is carried over as is
+const LEGACY_FIELDS = ["type", "images", "videoId", "info"];
+const CONTENT_FIELDS = ["content"];
+
+function pickWorkFields(meta, rewrittenFields) {
+  const fields = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (!rewrittenFields.includes(key)) fields[key] = value;
+  }
+  WORK_FIELDS.forEach((key) => {
+    fields[key] = meta[key] || "";
+  });
+  fields.featured = meta.featured || false;
+  return fields;
+}
+
+module.exports = {
+  version: 1,
+  description: "Convert legacy fields to a content array",
+
+  up(meta) {
+    if (Array.isArray(meta.content)) return meta;
+
+    const content = [];
+
+    // Legacy video works showed the video first
+    if (meta.type === "video" && meta.videoId) {
+      content.push({ type: "video", videoId: meta.videoId });
+    }
+
+    if (Array.isArray(meta.images)) {
+      for (const img of meta.images) {
+        const item = { type: "image", src: getImageSrc(img) };
+        const caption = getImageCaption(img);
+        if (caption) item.caption = caption;
+        content.push(item);
+      }
+    }
+
+    if (meta.info && meta.info.trim()) {
+      content.push({ type: "text", text: meta.info.trim() });
+    }
+
+    return { ...pickWorkFields(meta, LEGACY_FIELDS), content };
+  },
+
+  down(meta) {
+    const content = meta.content || [];
+    const videos = content.filter((item) => item.type === "video");
+    const texts = content.filter((item) => item.type === "text");
+    const unsupported = content.filter((item) => !["image", "video", "text"].includes(item.type));
+    if (videos.length > 1 || texts.length > 1 || unsupported.length > 0) {
+      throw new Error("content has items the legacy format can't hold");
+    }
+
+    const legacy = { ...pickWorkFields(meta, CONTENT_FIELDS), type: videos.length > 0 ? "video" : "image" };
+    legacy.images = content
+      .filter((item) => item.type === "image")
+      .map((item) => (item.caption ? { src: item.src, caption: item.caption } : item.src));
+    if (videos.length > 0) legacy.videoId = videos[0].videoId;
+    if (texts.length > 0) legacy.info = texts[0].text;
+    return legacy;
+  },
+};
@@ -0,0 +1,85 @@
+/**
+ * Migration 2: import legacy video sidecars into the content array
+ *
+ * Sidecar files (video1.txt, video2.txt, youtube.url, ...) hold a YouTube or
+ * Vimeo URL per line. Their videos are added at the start of the content in
+ * numeric order (legacy video works showed the video first), skipping videos
+ * the content already has. Fully imported sidecars are removed by the runner;
+ * files with a line that isn't a video URL are kept for review.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseVideoUrl, normalizeVideoItem } = require("../utils");
+
+// Legacy sidecar files holding a video URL (video1.txt, video2.txt,
+// youtube.txt, vimeo.url, ...)
+const VIDEO_SIDECAR_PATTERN = /^(video|youtube|vimeo)\d*\.(txt|url)$/i;
+
+/**
+ * Find legacy video sidecar files in a project folder (not read by the scanner)
+ * @param {string} projectPath - Path to project folder
+ * @returns {string[]} Sidecar filenames in numeric order
+ */
+function findVideoSidecars(projectPath) {
+  try {
+    return fs.readdirSync(projectPath)
+      .filter((name) => VIDEO_SIDECAR_PATTERN.test(name))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Read the video URLs (or bare IDs) listed in a sidecar file
+ * @param {string} filePath - Path to the sidecar
+ * @returns {string[]} Non-empty lines, internet shortcut (.url) entries reduced to their URL
+ */
+function readSidecarLines(filePath) {
+  return fs.readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().replace(/^URL=/i, ""))
+    .filter((line) => line && !/^\[.*\]$/.test(line) && !/^\w+=/.test(line));
+}
+
+module.exports = {
+  version: 2,
+  description: "Import video sidecar files (video1.txt, ...)",
+  findVideoSidecars,
+
+  up(meta, context) {
+    const known = new Set(meta.content
+      .filter((item) => item.type === "video")
+      .map(normalizeVideoItem)
+      .filter(Boolean)
+      .map((video) => `${video.provider}:${video.id}`));
+    const videos = [];
+
+    for (const name of findVideoSidecars(context.projectPath)) {
+      let complete = true;
+      for (const line of readSidecarLines(path.join(context.projectPath, name))) {
+        const video = parseVideoUrl(line);
+        if (!video) {
+          context.log(`${name}: not a video URL, keeping file: ${line}`);
+          complete = false;
+          continue;
+        }
+        const key = `${video.provider}:${video.id}`;
+        if (known.has(key)) continue;
+        known.add(key);
+        videos.push({ type: "video", videoId: line });
+        context.log(`${name}: ${video.provider} video ${video.id}`);
+      }
+      if (complete) context.removeFiles.push(name);
+    }
+
+    return { ...meta, content: [...videos, ...meta.content] };
+  },
+
+  // Imported videos stay in the content (valid version 1 items); the removed
+  // sidecar files only come back with migrate-content.js --rollback
+  down(meta) {
+    return meta;
+  },
+};
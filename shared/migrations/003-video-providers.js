@@ -0,0 +1,35 @@
+/**
+ * Migration 3: video items {videoId} -> {provider, id}
+ *
+ * Version 2 video items stored a YouTube ID or video URL as videoId; they now
+ * name their provider from the registry in shared/utils.js. Items that can't
+ * be parsed are left as they are (validate.js reports them).
+ */
+
+const { normalizeVideoItem, getVideoProvider } = require("../utils");
+
+module.exports = {
+  version: 3,
+  description: "Store embedded videos as {provider, id}",
+
+  up(meta) {
+    const content = meta.content.map((item) => {
+      if (item.type !== "video") return item;
+      return normalizeVideoItem(item) || item;
+    });
+    return { ...meta, content };
+  },
+
+  down(meta) {
+    const content = meta.content.map((item) => {
+      if (item.type !== "video" || !item.provider) return item;
+      const provider = getVideoProvider(item.provider);
+      if (!provider) throw new Error(`content has a video from unknown provider "${item.provider}"`);
+      const videoId = item.provider === "youtube"
+        ? item.id
+        : provider.getPageUrl(item.id);
+      return { type: "video", videoId };
+    });
+    return { ...meta, content };
+  },
+};
@@ -0,0 +1,97 @@
+/**
+ * Versioned meta.json migrations
+ * Each migration module upgrades meta.json from version - 1 to its version
+ * (up) and, when possible, back again (down). Migrated files are stamped
+ * with schemaVersion; unstamped files are version 1 if they have a content
+ * array and version 0 (legacy format) otherwise.
+ * Used by: migrate-content.js, shared/scanner.js, server.js, validate.js
+ */
+
+// Ordered by version
+const MIGRATIONS = [
+  require("./001-content-array"),
+  require("./002-video-sidecars"),
+  require("./003-video-providers"),
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of a meta object
+ * @param {Object} meta - Meta object from meta.json
+ * @returns {number} Schema version
+ */
+function getSchemaVersion(meta) {
+  if (Number.isInteger(meta.schemaVersion)) return meta.schemaVersion;
+  return Array.isArray(meta.content) ? 1 : 0;
+}
+
+/**
+ * Check whether a meta object needs migrating to the current version
+ * @param {Object} meta - Meta object from meta.json
+ * @returns {boolean} True if older than CURRENT_SCHEMA_VERSION
+ */
+function isOutdated(meta) {
+  return getSchemaVersion(meta) < CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Migrate a meta object up or down to a version. Nothing is written; files
+ * a migration has made redundant are returned in removeFiles.
+ * @param {Object} meta - Meta object from meta.json
+ * @param {string} projectPath - Path to project folder
+ * @param {Object} [options]
+ * @param {number} [options.to=CURRENT_SCHEMA_VERSION] - Target version
+ * @param {Function} [options.log] - Receives progress messages from migrations
+ * @returns {{meta: Object, from: number, to: number, applied: number[], removeFiles: string[]}}
+ *   Migrated meta, versions applied (negative when reverted) and files to remove
+ */
+function migrateMeta(meta, projectPath, options = {}) {
+  const to = options.to === undefined ? CURRENT_SCHEMA_VERSION : options.to;
+  const from = getSchemaVersion(meta);
+  if (from > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`schemaVersion ${from} is newer than supported (${CURRENT_SCHEMA_VERSION})`);
+  }
+  if (!Number.isInteger(to) || to < 0 || to > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Unknown schema version ${to} (0-${CURRENT_SCHEMA_VERSION})`);
+  }
+
+  const context = { projectPath, removeFiles: [], log: options.log || (() => {}) };
+  const applied = [];
+  let result = structuredClone(meta);
+  delete result.schemaVersion;
+
+  if (to >= from) {
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= from || migration.version > to) continue;
+      result = migration.up(result, context);
+      applied.push(migration.version);
+    }
+  } else {
+    for (const migration of [...MIGRATIONS].reverse()) {
+      if (migration.version > from || migration.version <= to) continue;
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version} (${migration.description}) can't be reversed, restore a backup instead`);
+      }
+      result = migration.down(result, context);
+      applied.push(-migration.version);
+    }
+  }
+
+  // Legacy (version 0) files are never stamped
+  return {
+    meta: to > 0 ? { schemaVersion: to, ...result } : result,
+    from,
+    to,
+    applied,
+    removeFiles: context.removeFiles,
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  isOutdated,
+  migrateMeta,
+};
@@ -0,0 +1,225 @@
+/**
+ * Static page generation and share metadata for individual works
+ * Used by: build-data.js, server.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const CONFIG = require("./config");
+const { escapeHtml, slugify, getMultiValues, getPrimaryMedia } = require("./utils");
+const { renderWorkContent, resolveAssetPath } = require("./renderer");
+
+/**
+ * Get the description for a work (first text content item, or legacy info)
+ * @param {Object} work - Work object
+ * @returns {string} Description text or empty string
+ */
+function getWorkDescription(work) {
+  if (Array.isArray(work.content)) {
+    const firstText = work.content.find((c) => c.type === "text" && c.text);
+    if (firstText) return firstText.text.trim();
+  }
+  return (work.info || "").trim();
+}
+
+/**
+ * Get the share image for a work (primary image, embedded video thumbnail or video poster)
+ * @param {Object} work - Work object
+ * @returns {string} Image path/URL or empty string
+ */
+function getShareImage(work) {
+  const primary = getPrimaryMedia(work);
+  if (primary.type === "image") return primary.src;
+  if (primary.type === "video") return primary.thumbnail;
+  if (primary.type === "localVideo") return primary.poster;
+  return "";
+}
+
+/**
+ * Build the schema.org CreativeWork description of a work
+ * @param {Object} work - Work object
+ * @param {Object} [options]
+ * @param {string} [options.siteBase] - Prefix for asset paths (absolute URL or relative path)
+ * @param {string} [options.pageUrl] - URL of the page describing the work
+ * @returns {Object} JSON-LD object
+ */
+function buildWorkJsonLd(work, options = {}) {
+  const description = getWorkDescription(work);
+  const image = getShareImage(work);
+  const clients = getMultiValues(work.client);
+  const roles = getMultiValues(work.contribution);
+
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "CreativeWork",
+    name: work.title,
+  };
+  if (description) jsonLd.description = description;
+  if (image) jsonLd.image = resolveAssetPath(image, options.siteBase);
+  if (options.pageUrl) jsonLd.url = options.pageUrl;
+  if (work.date) jsonLd.dateCreated = work.date;
+  if (clients.length > 0) {
+    jsonLd.producer = clients.map((name) => ({ "@type": "Organization", name }));
+  }
+
+  const person = { "@type": "Person", name: CONFIG.site.name };
+  jsonLd.creator = roles.length > 0
+    ? { "@type": "Role", roleName: roles.join(", "), creator: person }
+    : person;
+
+  return jsonLd;
+}
+
+/**
+ * Render Open Graph, Twitter card and JSON-LD tags for a work
+ * @param {Object} work - Work object
+ * @param {Object} [options]
+ * @param {string} [options.siteBase] - Prefix for asset paths (absolute URL or relative path)
+ * @param {string} [options.pageUrl] - URL of the page describing the work
+ * @returns {string} HTML tags for the document head
+ */
+function renderShareTags(work, options = {}) {
+  const description = getWorkDescription(work);
+  const image = getShareImage(work);
+  const imageUrl = image ? resolveAssetPath(image, options.siteBase) : "";
+  // Keep "</script>" sequences in text fields from closing the JSON-LD block
+  const jsonLd = JSON.stringify(buildWorkJsonLd(work, options)).replace(/</g, "\\u003c");
+
+  const tags = [
+    ["property", "og:type", "article"],
+    ["property", "og:site_name", CONFIG.site.name],
+    ["property", "og:title", work.title],
+    ["property", "og:description", description],
+    ["property", "og:image", imageUrl],
+    ["property", "og:url", options.pageUrl],
+    ["name", "twitter:card", imageUrl ? "summary_large_image" : "summary"],
+    ["name", "twitter:title", work.title],
+    ["name", "twitter:description", description],
+    ["name", "twitter:image", imageUrl],
+  ];
+
+  return tags
+    .filter(([, , value]) => value)
+    .map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`)
+    .concat(`<script type="application/ld+json">${jsonLd}</script>`)
+    .join("\n        ");
+}
+
+/**
+ * Inject a work's title, description and share tags into an HTML document
+ * (used to personalise index.html for ?work= links)
+ * @param {string} html - Source HTML document
+ * @param {Object} work - Work object
+ * @param {Object} [options] - Options passed to renderShareTags
+ * @returns {string} HTML document with work-specific head
+ */
+function injectShareTags(html, work, options = {}) {
+  const title = escapeHtml(`${work.title} | ${CONFIG.site.name}`);
+  const description = escapeHtml(getWorkDescription(work));
+  const headTags = [
+    description ? `<meta name="description" content="${description}" />` : "",
+    renderShareTags(work, options),
+  ].filter(Boolean).join("\n        ");
+
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${title}</title>`)
+    .replace("</head>", `    ${headTags}\n    </head>`);
+}
+
+/**
+ * Render a complete, standalone HTML page for a work
+ * @param {Object} work - Work object (as written to data.json)
+ * @param {Object} [options]
+ * @param {string} [options.assetBase] - Relative path from the page back to the site root
+ * @param {string} [options.siteBase] - Absolute site URL for share tags (defaults to assetBase)
+ * @param {string} [options.pageUrl] - Public URL of this page
+ * @param {string} [options.notice] - Banner above the work (e.g. on draft previews)
+ * @returns {string} HTML document
+ */
+function renderWorkPage(work, options = {}) {
+  const assetBase = options.assetBase || "";
+  const title = escapeHtml(`${work.title} | ${CONFIG.site.name}`);
+  const description = escapeHtml(getWorkDescription(work));
+  const portfolioLink = `${assetBase}?work=${encodeURIComponent(slugify(work.title))}`;
+  const shareTags = renderShareTags(work, {
+    siteBase: options.siteBase || assetBase,
+    pageUrl: options.pageUrl,
+  });
+
+  return `<!doctype html>
+<html lang="en">
+    <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <title>${title}</title>
+        ${description ? `<meta name="description" content="${description}" />` : ""}
+        ${shareTags}
+        <link rel="preconnect" href="https://fonts.googleapis.com">
+        <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600&display=swap" rel="stylesheet">
+        <link rel="stylesheet" href="${assetBase}styles.css" />
+        <noscript><style>picture.has-placeholder > img { opacity: 1; }</style></noscript>
+    </head>
+    <body>
+        <nav class="navbar">
+            <a href="${assetBase}index.html" class="nav-name">${escapeHtml(CONFIG.site.name)}</a>
+            <div class="nav-spacer"></div>
+            <a href="${assetBase}index.html#portfolio" class="nav-link">Portfolio</a>
+            <a href="${assetBase}index.html#index" class="nav-link">Index</a>
+            <a href="${assetBase}index.html#info" class="nav-link">Info</a>
+        </nav>
+
+        <main>
+            <article class="modal-scroll-container work-page">
+                ${options.notice ? `<p class="work-page-notice">${escapeHtml(options.notice)}</p>` : ""}
+                ${renderWorkContent(work, CONFIG, { assetBase })}
+                <a href="${portfolioLink}" class="work-page-link">View in portfolio</a>
+            </article>
+        </main>
+    </body>
+</html>
+`;
+}
+
+/**
+ * Write the static page for a work into its project folder (index.html)
+ * @param {Object} work - Work object
+ * @param {string} projectPath - Path to project folder
+ * @param {string} rootDir - Path to site root
+ * @returns {string} Path of the written page
+ */
+function writeWorkPage(work, projectPath, rootDir) {
+  const assetBase = path.relative(projectPath, rootDir).split(path.sep).join("/") + "/";
+  const siteUrl = getSiteUrl();
+  const pageRoute = path.relative(rootDir, projectPath).split(path.sep).join("/") + "/";
+  const pagePath = path.join(projectPath, "index.html");
+  const html = renderWorkPage(work, {
+    assetBase,
+    siteBase: siteUrl || assetBase,
+    pageUrl: siteUrl ? `${siteUrl}${pageRoute}` : "",
+  });
+  fs.writeFileSync(pagePath, html, "utf8");
+  return pagePath;
+}
+
+/**
+ * Get the public site URL (SITE_URL environment variable, else
+ * CONFIG.site.url) with a trailing slash
+ * @returns {string} Site URL or empty string when not configured
+ */
+function getSiteUrl() {
+  const url = process.env.SITE_URL || CONFIG.site.url || "";
+  if (!url) return "";
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+module.exports = {
+  getWorkDescription,
+  getShareImage,
+  getSiteUrl,
+  buildWorkJsonLd,
+  renderShareTags,
+  injectShareTags,
+  renderWorkPage,
+  writeWorkPage,
+};
@@ -0,0 +1,180 @@
+/**
+ * Partial updates for PATCH requests: JSON Merge Patch (RFC 7396) and JSON
+ * Patch (RFC 6902), applied to a copy of a work's meta.json.
+ *
+ * Merge patch: omitted keys are left alone, null removes a key, arrays (such
+ * as content) are replaced whole. JSON Patch: operations on paths such as
+ * "/content/2/caption", for changing single content items.
+ * Used by: server.js
+ */
+
+const MERGE_PATCH_TYPE = "application/merge-patch+json";
+const JSON_PATCH_TYPE = "application/json-patch+json";
+
+// Object that isn't an array or null
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Apply a JSON Merge Patch
+ * @param {*} target - Document to patch (not modified)
+ * @param {*} patch - Merge patch (anything but an object replaces the target)
+ * @returns {*} The patched document
+ */
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+
+  const result = isPlainObject(target) ? structuredClone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+// Split a JSON Pointer ("/content/0/caption") into unescaped tokens
+function parsePointer(pointer) {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  }
+  if (pointer === "") return [];
+  return pointer.slice(1).split("/").map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+// Array index from a pointer token ("-" is one past the end, allowed when adding)
+function parseIndex(array, token, pointer, { allowEnd = false } = {}) {
+  if (allowEnd && token === "-") return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) throw new Error(`Invalid array index in "${pointer}"`);
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`Index out of range in "${pointer}"`);
+  }
+  return index;
+}
+
+// The container a pointer's last token refers into, and that token
+function resolveParent(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) throw new Error("Operations on the whole document aren't supported");
+
+  let parent = document;
+  for (const token of tokens.slice(0, -1)) {
+    const child = Array.isArray(parent) ? parent[parseIndex(parent, token, pointer)] : parent[token];
+    if (child === null || typeof child !== "object") throw new Error(`Path "${pointer}" doesn't exist`);
+    parent = child;
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+// Read the value at a pointer
+function getValue(document, pointer) {
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) return parent[parseIndex(parent, key, pointer)];
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Path "${pointer}" doesn't exist`);
+  return parent[key];
+}
+
+// Insert (into arrays) or set the value at a pointer
+function addValue(document, pointer, value) {
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(parseIndex(parent, key, pointer, { allowEnd: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+}
+
+// Remove the value at a pointer, returning it
+function removeValue(document, pointer) {
+  const removed = getValue(document, pointer);
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(parseIndex(parent, key, pointer), 1);
+  } else {
+    delete parent[key];
+  }
+  return removed;
+}
+
+/**
+ * Apply a JSON Patch. Operations run in order and either all apply or an
+ * error is thrown.
+ * @param {Object} target - Document to patch (not modified)
+ * @param {Array<{op: string, path: string, value?: *, from?: string}>} operations - add,
+ *   remove, replace, move, copy or test
+ * @returns {Object} The patched document
+ * @throws {Error} If an operation is malformed, its path doesn't exist or a test fails
+ */
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) throw new Error("A JSON Patch must be an array of operations");
+
+  const result = structuredClone(target);
+  operations.forEach((operation, i) => {
+    if (!isPlainObject(operation)) throw new Error(`Operation ${i} isn't an object`);
+    const { op, path, from } = operation;
+    if (typeof path !== "string") throw new Error(`Operation ${i} has no path`);
+    const needsValue = ["add", "replace", "test"].includes(op);
+    if (needsValue && !("value" in operation)) throw new Error(`Operation ${i} (${op}) has no value`);
+    const value = structuredClone(operation.value);
+
+    if (op === "add") {
+      addValue(result, path, value);
+    } else if (op === "remove") {
+      removeValue(result, path);
+    } else if (op === "replace") {
+      removeValue(result, path);
+      addValue(result, path, value);
+    } else if (op === "move") {
+      if (path.startsWith(`${from}/`)) throw new Error(`Operation ${i} moves "${from}" into itself`);
+      addValue(result, path, removeValue(result, from));
+    } else if (op === "copy") {
+      addValue(result, path, structuredClone(getValue(result, from)));
+    } else if (op === "test") {
+      if (JSON.stringify(getValue(result, path)) !== JSON.stringify(value)) {
+        throw new Error(`Test failed: "${path}" isn't ${JSON.stringify(value)}`);
+      }
+    } else {
+      throw new Error(`Operation ${i} has unknown op "${op}"`);
+    }
+  });
+  return result;
+}
+
+/**
+ * Top-level fields whose values differ between a document and its patched
+ * copy (added, removed or changed), to check them against an allow list
+ * @param {Object} before - Document before the patch
+ * @param {Object} after - Patched document
+ * @returns {string[]} Field names
+ */
+function getChangedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Apply a patch of either type
+ * @param {string} type - MERGE_PATCH_TYPE or JSON_PATCH_TYPE
+ * @param {Object} target - Document to patch (not modified)
+ * @param {Object|Array} patch - The patch
+ * @returns {Object} The patched document
+ * @throws {Error} If the patch can't be applied
+ */
+function applyPatch(type, target, patch) {
+  if (type === JSON_PATCH_TYPE) return applyJsonPatch(target, patch);
+  if (!isPlainObject(patch)) throw new Error("A merge patch must be a JSON object");
+  return applyMergePatch(target, patch);
+}
+
+module.exports = {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch,
+  getChangedFields,
+  applyPatch,
+};
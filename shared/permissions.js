@@ -0,0 +1,82 @@
+/**
+ * Admin roles and what each may do. Roles are ordered: each one can do
+ * everything the roles before it can.
+ * Used by: server.js (route checks), users.js, admin/admin.js (hides controls)
+ */
+
+// Least to most privileged
+const ROLES = ["viewer", "contributor", "editor", "owner"];
+
+const ROLE_LABELS = {
+  viewer: "Viewer",
+  contributor: "Contributor",
+  editor: "Editor",
+  owner: "Owner",
+};
+
+// Least privileged role allowed each action
+const PERMISSIONS = {
+  "works:read": "viewer",
+  "works:create": "contributor",
+  "works:edit": "contributor", // Drafts; other works also need works:publish
+  "works:publish": "editor",
+  "works:feature": "editor",
+  "audit:read": "editor",
+  "works:delete": "owner",
+  build: "owner",
+  "users:manage": "owner",
+};
+
+/**
+ * Check whether a role is known
+ * @param {string} role - Role name
+ * @returns {boolean} True for one of ROLES
+ */
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Check whether a role may perform an action
+ * @param {string} role - Role name
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed (false for unknown roles or actions)
+ */
+function can(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required || !isRole(role)) return false;
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * List every action a role may perform
+ * @param {string} role - Role name
+ * @returns {string[]} Permission keys
+ */
+function getPermissions(role) {
+  return Object.keys(PERMISSIONS).filter((permission) => can(role, permission));
+}
+
+// Export for Node.js (CommonJS)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ROLES,
+    ROLE_LABELS,
+    PERMISSIONS,
+    isRole,
+    can,
+    getPermissions,
+  };
+}
+
+// Export for browser (window global)
+if (typeof window !== "undefined") {
+  window.PortfolioPermissions = {
+    ROLES,
+    ROLE_LABELS,
+    PERMISSIONS,
+    isRole,
+    can,
+    getPermissions,
+  };
+}
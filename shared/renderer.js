@@ -0,0 +1,360 @@
+/**
+ * Shared HTML rendering for work content
+ * Used by: script.js (modal), build-data.js (static work pages)
+ */
+
+// Resolve shared utils in either environment (browser global or CommonJS)
+function getRendererUtils() {
+  if (typeof window !== "undefined" && window.PortfolioUtils) {
+    return window.PortfolioUtils;
+  }
+  return require("./utils");
+}
+
+/**
+ * Prefix a relative asset path (e.g. "works/2023/blue/image.jpg") with a base path
+ * @param {string} src - Asset path relative to the site root
+ * @param {string} assetBase - Prefix to apply (e.g. "../../../"), empty for root
+ * @returns {string} Resolved asset path
+ */
+function resolveAssetPath(src, assetBase = "") {
+  if (!src) return "";
+  if (!assetBase || /^(https?:)?\/\//.test(src) || src.startsWith("/")) return src;
+  return `${assetBase}${src}`;
+}
+
+// MIME types for <source> elements, keyed by variant format
+const IMAGE_MIME_TYPES = {
+  avif: "image/avif",
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+};
+
+/**
+ * Build a srcset string from the variants of one format
+ * @param {Array} variants - Variant entries ({src, width, format})
+ * @param {string} format - Format to include
+ * @param {string} assetBase - Prefix for relative paths
+ * @returns {string} srcset attribute value
+ */
+function buildSrcset(variants, format, assetBase = "") {
+  return variants
+    .filter((v) => v.format === format)
+    .sort((a, b) => a.width - b.width)
+    .map((v) => `${resolveAssetPath(v.src, assetBase)} ${v.width}w`)
+    .join(", ");
+}
+
+/**
+ * Render an image content item as <img>, or as <picture> with srcset/sizes
+ * when responsive variants or a blur-up placeholder are available
+ * @param {Object} image - Image item ({src, width?, height?, variants?, placeholder?, color?})
+ * @param {Object} [options]
+ * @param {string} [options.alt] - Alt text
+ * @param {string} [options.sizes] - sizes attribute for the rendering context
+ * @param {string} [options.assetBase] - Prefix for relative image paths
+ * @param {string} [options.maxHeight] - CSS height cap; with known dimensions the
+ *   image is pre-sized so its placeholder has a box before the file loads
+ * @returns {string} HTML string
+ */
+function renderImage(image, options = {}) {
+  const { escapeHtml } = getRendererUtils();
+  const assetBase = options.assetBase || "";
+  const src = resolveAssetPath(image.src, assetBase);
+  const alt = escapeHtml(options.alt || "");
+  const sizes = options.sizes || "100vw";
+  const variants = Array.isArray(image.variants) ? image.variants : [];
+  const dimensions = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : "";
+
+  // Blur-up: the <picture> paints the placeholder and the image fades in on load
+  const placeholderStyle = [
+    image.color ? `background-color: ${image.color}` : "",
+    image.placeholder ? `background-image: url('${image.placeholder}')` : "",
+  ].filter(Boolean).join("; ");
+  const pictureAttrs = placeholderStyle ? ` class="has-placeholder" style="${placeholderStyle}"` : "";
+  let imgAttrs = placeholderStyle ? ` onload="this.classList.add('is-loaded')"` : "";
+  if (placeholderStyle && options.maxHeight && image.width && image.height) {
+    imgAttrs += ` style="aspect-ratio: ${image.width} / ${image.height}; width: min(${image.width}px, 90vw, calc(${options.maxHeight} * ${image.width} / ${image.height}))"`;
+  }
+
+  if (variants.length === 0) {
+    const imgTag = `<img src="${src}" alt="${alt}"${dimensions}${imgAttrs}>`;
+    return placeholderStyle ? `<picture${pictureAttrs}>${imgTag}</picture>` : imgTag;
+  }
+
+  // Formats in the order they were generated (preferred first); the last one
+  // is the original format and becomes the <img> fallback
+  const formats = [...new Set(variants.map((v) => v.format))];
+  const fallbackFormat = formats[formats.length - 1];
+  const sources = formats
+    .filter((format) => format !== fallbackFormat)
+    .map((format) => `<source type="${IMAGE_MIME_TYPES[format] || `image/${format}`}" srcset="${buildSrcset(variants, format, assetBase)}" sizes="${sizes}">`)
+    .join("");
+
+  // The original is the largest candidate in its own format
+  let fallbackSrcset = buildSrcset(variants, fallbackFormat, assetBase);
+  if (image.width && !variants.some((v) => v.format === fallbackFormat && v.width >= image.width)) {
+    fallbackSrcset += `, ${src} ${image.width}w`;
+  }
+
+  return `<picture${pictureAttrs}>${sources}<img src="${src}" srcset="${fallbackSrcset}" sizes="${sizes}" alt="${alt}"${dimensions}${imgAttrs}></picture>`;
+}
+
+/**
+ * Render a self-hosted video content item as a native <video> element
+ * @param {Object} video - localVideo item ({src, poster?, loop?, muted?, autoplay?})
+ * @param {Object} [options]
+ * @param {string} [options.assetBase] - Prefix for relative paths
+ * @returns {string} HTML string
+ */
+function renderLocalVideo(video, options = {}) {
+  const assetBase = options.assetBase || "";
+  const attrs = ["controls", "playsinline", 'preload="metadata"'];
+  if (video.poster) attrs.push(`poster="${resolveAssetPath(video.poster, assetBase)}"`);
+  if (video.loop) attrs.push("loop");
+  if (video.muted) attrs.push("muted");
+  if (video.autoplay) attrs.push("autoplay");
+  return `<video src="${resolveAssetPath(video.src, assetBase)}" ${attrs.join(" ")}></video>`;
+}
+
+/**
+ * Render a before/after comparison item as a drag-to-reveal slider.
+ * A transparent range input spanning the images drives the split, so mouse,
+ * touch and keyboard work without any page script.
+ * @param {Object} item - Comparison item ({before, after}, each {src, label?, ...image fields})
+ * @param {Object} [options]
+ * @param {string} [options.alt] - Alt text prefix (each side appends its label)
+ * @param {string} [options.sizes] - sizes attribute for the rendering context
+ * @param {string} [options.assetBase] - Prefix for relative image paths
+ * @returns {string} HTML string
+ */
+function renderComparison(item, options = {}) {
+  const { escapeHtml } = getRendererUtils();
+  const alt = options.alt || "";
+
+  const renderSide = (side, name) => {
+    const imageHTML = renderImage(side, {
+      alt: side.label ? `${alt} - ${side.label}` : alt,
+      sizes: options.sizes,
+      assetBase: options.assetBase,
+    });
+    const labelHTML = side.label
+      ? `<span class="comparison-label">${escapeHtml(side.label)}</span>`
+      : "";
+    return `<div class="comparison-${name}">${imageHTML}${labelHTML}</div>`;
+  };
+
+  const ariaLabel = escapeHtml(`Reveal ${item.before.label || "before"} / ${item.after.label || "after"}`);
+
+  return `
+    <div class="comparison" style="--position: 50%">
+      ${renderSide(item.after, "after")}
+      ${renderSide(item.before, "before")}
+      <div class="comparison-handle" aria-hidden="true"></div>
+      <input type="range" class="comparison-range" min="0" max="100" step="0.1" value="50" aria-label="${ariaLabel}"
+        oninput="this.parentElement.style.setProperty('--position', this.value + '%')">
+    </div>
+  `;
+}
+
+/**
+ * Render a labelled meta row with one clickable value per multi-value entry
+ * @param {string} label - Display label
+ * @param {string} key - Filter key (work field name)
+ * @param {string} value - Semicolon-separated field value
+ * @returns {string} HTML string, empty when there are no values
+ */
+function renderMetaItem(label, key, value) {
+  const { getMultiValues, escapeHtml } = getRendererUtils();
+  const values = getMultiValues(value);
+  if (values.length === 0) return "";
+  const valueSpans = values.map((v) => {
+    const escaped = escapeHtml(v);
+    return `<span class="meta-value" data-filter-key="${key}" data-filter-value="${escaped}">${escaped}</span>`;
+  }).join("");
+  return `<div class="meta-item"><span class="meta-label">${label}</span>${valueSpans}</div>`;
+}
+
+/**
+ * Render all meta rows for a work
+ * @param {Object} work - Work object
+ * @param {Object} cfg - Shared config (for field labels)
+ * @returns {string} HTML string
+ */
+function renderMetaHTML(work, cfg) {
+  return renderMetaItem(cfg.fieldLabels.client, "client", work.client) +
+    renderMetaItem(cfg.fieldLabels.contribution, "contribution", work.contribution) +
+    renderMetaItem(cfg.fieldLabels.date, "date", work.date) +
+    renderMetaItem(cfg.fieldLabels.style, "style", work.style) +
+    renderMetaItem(cfg.fieldLabels.software, "software", work.software);
+}
+
+/**
+ * Render a work's content array as a stack of cards.
+ * The first media item becomes the hero card, followed by a details card
+ * (title, first text block, meta), then remaining media and text cards.
+ * @param {Object} work - Work object with content array
+ * @param {Object} cfg - Shared config
+ * @param {Object} [options]
+ * @param {string} [options.assetBase] - Prefix for relative image paths
+ * @returns {string} HTML string
+ */
+function renderWorkContent(work, cfg, options = {}) {
+  const { escapeHtml, getVideoEmbedUrl } = getRendererUtils();
+  const assetBase = options.assetBase || "";
+  const content = work.content || [];
+  const title = escapeHtml(work.title);
+  const metaHTML = renderMetaHTML(work, cfg);
+  const cards = [];
+  const textItems = [];
+  let isFirstMedia = true;
+
+  // Collect all text items and media items separately
+  for (const item of content) {
+    if (item.type === "text") {
+      textItems.push(item.text);
+    } else if (item.type === "image") {
+      const imgSrc = typeof item.src === "string" ? item.src : item.src?.src || "";
+      const imageHTML = renderImage({ ...item, src: imgSrc }, {
+        alt: work.title,
+        sizes: cfg.images.sizes.modal,
+        assetBase,
+      });
+      const captionHTML = item.caption ? `<div class="image-caption">${escapeHtml(item.caption)}</div>` : "";
+      if (isFirstMedia) {
+        cards.push(`
+          <div class="modal-card modal-card-media">
+            <div class="modal-media">
+              ${imageHTML}
+            </div>
+            ${captionHTML}
+          </div>
+        `);
+        isFirstMedia = false;
+      } else {
+        cards.push(`
+          <div class="modal-card modal-card-image">
+            ${imageHTML}
+            ${captionHTML}
+          </div>
+        `);
+      }
+    } else if (item.type === "comparison") {
+      const comparisonHTML = renderComparison(item, {
+        alt: work.title,
+        sizes: cfg.images.sizes.modal,
+        assetBase,
+      });
+      if (isFirstMedia) {
+        cards.push(`
+          <div class="modal-card modal-card-media">
+            <div class="modal-media">
+              ${comparisonHTML}
+            </div>
+          </div>
+        `);
+        isFirstMedia = false;
+      } else {
+        cards.push(`
+          <div class="modal-card modal-card-comparison">
+            ${comparisonHTML}
+          </div>
+        `);
+      }
+    } else if (item.type === "localVideo") {
+      const videoHTML = renderLocalVideo(item, { assetBase });
+      if (isFirstMedia) {
+        cards.push(`
+          <div class="modal-card modal-card-media">
+            <div class="modal-media">
+              ${videoHTML}
+            </div>
+          </div>
+        `);
+        isFirstMedia = false;
+      } else {
+        cards.push(`
+          <div class="modal-card modal-card-local-video">
+            ${videoHTML}
+          </div>
+        `);
+      }
+    } else if (item.type === "video") {
+      const embedUrl = getVideoEmbedUrl(item);
+      if (!embedUrl) continue;
+      if (isFirstMedia) {
+        cards.push(`
+          <div class="modal-card modal-card-media">
+            <div class="modal-media">
+              <iframe src="${escapeHtml(embedUrl)}" allowfullscreen></iframe>
+            </div>
+          </div>
+        `);
+        isFirstMedia = false;
+      } else {
+        cards.push(`
+          <div class="modal-card modal-card-video">
+            <iframe src="${escapeHtml(embedUrl)}" allowfullscreen></iframe>
+          </div>
+        `);
+      }
+    }
+  }
+
+  // Build details card with first text as description
+  const firstText = textItems.shift() || "";
+  const detailsCard = `
+    <div class="modal-card modal-card-details">
+      <h3>${title}</h3>
+      ${firstText ? `<p class="modal-description">${escapeHtml(firstText)}</p>` : ""}
+      <div class="modal-meta">${metaHTML}</div>
+    </div>
+  `;
+
+  // Insert details card after first media
+  if (cards.length > 0) {
+    cards.splice(1, 0, detailsCard);
+  } else {
+    cards.push(detailsCard);
+  }
+
+  // Add remaining text items as separate cards
+  for (const text of textItems) {
+    cards.push(`
+      <div class="modal-card modal-card-text">
+        <p>${escapeHtml(text)}</p>
+      </div>
+    `);
+  }
+
+  return cards.join("");
+}
+
+// Export for Node.js (CommonJS)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    resolveAssetPath,
+    buildSrcset,
+    renderImage,
+    renderLocalVideo,
+    renderComparison,
+    renderMetaItem,
+    renderMetaHTML,
+    renderWorkContent,
+  };
+}
+
+// Export for browser (window global)
+if (typeof window !== "undefined") {
+  window.PortfolioRenderer = {
+    resolveAssetPath,
+    buildSrcset,
+    renderImage,
+    renderLocalVideo,
+    renderComparison,
+    renderMetaItem,
+    renderMetaHTML,
+    renderWorkContent,
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Revision history for works: every save keeps a snapshot of meta.json and
+ * the media it references, inside the project folder (CONFIG.revisions.dir),
+ * so history follows the work through renames. Media is stored once per
+ * distinct file content, so saves that don't touch an image don't copy it.
+ *
+ * Layout: <project>/.revisions/<revision id>.json  snapshot (meta + file hashes)
+ *         <project>/.revisions/objects/<sha256>    media contents
+ * Used by: server.js
+ */
+
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const CONFIG = require("./config");
+const { getReferencedFiles } = require("./scanner");
+
+// Revision ids are timestamps plus a random suffix ("2026-10-19T12-30-00-000Z-1a2b")
+const REVISION_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{4}$/;
+
+// Folder holding a project's revisions
+function getRevisionsDir(projectPath) {
+  return path.join(projectPath, CONFIG.revisions.dir);
+}
+
+// Path of a revision's snapshot file (null for malformed ids)
+function getRevisionFile(projectPath, revisionId) {
+  if (typeof revisionId !== "string" || !REVISION_ID_PATTERN.test(revisionId)) return null;
+  return path.join(getRevisionsDir(projectPath), `${revisionId}.json`);
+}
+
+// SHA-256 of a file, streamed so large videos aren't read into memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Referenced media that exists inside the project folder, by relative path
+function getSnapshotFiles(projectPath, meta) {
+  const files = [...new Set(getReferencedFiles(meta).map(({ src }) => src))];
+  return files.filter((src) => {
+    const filePath = path.resolve(projectPath, src);
+    return filePath.startsWith(projectPath + path.sep) && fs.existsSync(filePath);
+  });
+}
+
+/**
+ * List a work's revisions, newest first
+ * @param {string} projectPath - Path to project folder
+ * @returns {Promise<Array<{id: string, timestamp: string, actor: string|null, reason: string, title: string}>>}
+ *   Revision summaries (without meta or files)
+ */
+async function listRevisions(projectPath) {
+  const revisionsDir = getRevisionsDir(projectPath);
+  if (!fs.existsSync(revisionsDir)) return [];
+
+  const ids = (await fsPromises.readdir(revisionsDir))
+    .filter((name) => name.endsWith(".json") && REVISION_ID_PATTERN.test(name.slice(0, -5)))
+    .map((name) => name.slice(0, -5))
+    .sort()
+    .reverse();
+
+  const summaries = [];
+  for (const id of ids) {
+    const revision = await readRevision(projectPath, id);
+    if (!revision) continue;
+    summaries.push({
+      id,
+      timestamp: revision.timestamp,
+      actor: revision.actor,
+      reason: revision.reason,
+      title: revision.meta.title || "",
+    });
+  }
+  return summaries;
+}
+
+/**
+ * Read one revision
+ * @param {string} projectPath - Path to project folder
+ * @param {string} revisionId - Revision id
+ * @returns {Promise<Object|null>} {id, timestamp, actor, reason, meta, files}, or null if it doesn't exist
+ */
+async function readRevision(projectPath, revisionId) {
+  const revisionFile = getRevisionFile(projectPath, revisionId);
+  if (!revisionFile || !fs.existsSync(revisionFile)) return null;
+  try {
+    return JSON.parse(await fsPromises.readFile(revisionFile, "utf8"));
+  } catch (err) {
+    console.error(`Unreadable revision ${revisionFile}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Snapshot a work's current meta.json and media as a new revision
+ * @param {string} projectPath - Path to project folder
+ * @param {Object} info
+ * @param {string|null} info.actor - Username (null for snapshots of edits made outside the admin)
+ * @param {string} info.reason - Why the snapshot was taken ("create", "update", "restore", "baseline")
+ * @returns {Promise<Object>} Summary of the new revision
+ */
+async function createRevision(projectPath, { actor, reason }) {
+  const meta = JSON.parse(await fsPromises.readFile(path.join(projectPath, "meta.json"), "utf8"));
+  const objectsDir = path.join(getRevisionsDir(projectPath), "objects");
+  await fsPromises.mkdir(objectsDir, { recursive: true });
+
+  const files = {};
+  for (const src of getSnapshotFiles(projectPath, meta)) {
+    const hash = await hashFile(path.join(projectPath, src));
+    const objectPath = path.join(objectsDir, hash);
+    if (!fs.existsSync(objectPath)) {
+      await fsPromises.copyFile(path.join(projectPath, src), objectPath);
+    }
+    files[src] = hash;
+  }
+
+  const timestamp = new Date().toISOString();
+  const id = `${timestamp.replace(/[:.]/g, "-")}-${crypto.randomBytes(2).toString("hex")}`;
+  const revision = { id, timestamp, actor, reason, meta, files };
+  await fsPromises.writeFile(getRevisionFile(projectPath, id), JSON.stringify(revision, null, 2), "utf8");
+
+  await pruneRevisions(projectPath);
+  return { id, timestamp, actor, reason, title: meta.title || "" };
+}
+
+/**
+ * Check whether a work has any revisions yet (works created before revision
+ * history need a baseline snapshot before their first edit)
+ * @param {string} projectPath - Path to project folder
+ * @returns {Promise<boolean>} True if at least one revision exists
+ */
+async function hasRevisions(projectPath) {
+  return (await listRevisions(projectPath)).length > 0;
+}
+
+/**
+ * Write a revision's media and meta.json out again. Files added since are
+ * left in place.
+ * @param {string} projectPath - Path to project folder
+ * @param {string} revisionId - Revision id
+ * @param {string} [destDir=projectPath] - Where to write them (e.g. a staging folder)
+ * @returns {Promise<Object>} The restored meta
+ * @throws {Error} If the revision doesn't exist or its media is missing
+ */
+async function restoreRevision(projectPath, revisionId, destDir = projectPath) {
+  const revision = await readRevision(projectPath, revisionId);
+  if (!revision) throw new Error(`No revision ${revisionId}`);
+
+  const objectsDir = path.join(getRevisionsDir(projectPath), "objects");
+  const missing = Object.values(revision.files).filter((hash) => !fs.existsSync(path.join(objectsDir, hash)));
+  if (missing.length > 0) {
+    throw new Error(`Revision ${revisionId} is missing ${missing.length} media file(s)`);
+  }
+
+  for (const [src, hash] of Object.entries(revision.files)) {
+    const filePath = path.resolve(destDir, src);
+    if (!filePath.startsWith(destDir + path.sep)) continue;
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.copyFile(path.join(objectsDir, hash), filePath);
+  }
+  await fsPromises.writeFile(path.join(destDir, "meta.json"), JSON.stringify(revision.meta, null, 2));
+  return revision.meta;
+}
+
+// Drop the oldest revisions beyond CONFIG.revisions.maxPerWork, then any
+// media no remaining revision refers to
+async function pruneRevisions(projectPath) {
+  const { maxPerWork } = CONFIG.revisions;
+  const revisions = await listRevisions(projectPath);
+  if (!maxPerWork || revisions.length <= maxPerWork) return;
+
+  for (const { id } of revisions.slice(maxPerWork)) {
+    await fsPromises.rm(getRevisionFile(projectPath, id), { force: true });
+  }
+
+  const kept = new Set();
+  for (const { id } of revisions.slice(0, maxPerWork)) {
+    const revision = await readRevision(projectPath, id);
+    if (revision) Object.values(revision.files).forEach((hash) => kept.add(hash));
+  }
+  const objectsDir = path.join(getRevisionsDir(projectPath), "objects");
+  for (const hash of await fsPromises.readdir(objectsDir)) {
+    if (!kept.has(hash)) await fsPromises.rm(path.join(objectsDir, hash), { force: true });
+  }
+}
+
+module.exports = {
+  listRevisions,
+  readRevision,
+  createRevision,
+  hasRevisions,
+  restoreRevision,
+};
@@ -1,17 +1,25 @@
 /**
- * Shared works scanning functionality
- * Used by: build-data.js, admin/server.js
+ * Shared works scanning functionality: one async pipeline from works/ folders
+ * to sorted work objects, with public (data.json) and admin (API) projections
+ * Used by: build-data.js, server.js, validate.js, migrate-content.js, optimize-images.js
  */
 
 const fs = require("fs");
 const fsPromises = require("fs").promises;
 const path = require("path");
 const {
-  extractYouTubeId,
-  getYouTubeThumbnail,
+  parseVideoUrl,
+  normalizeVideoItem,
+  getVideoThumbnail,
   getImageSrc,
   getImageCaption,
+  getWorkStatus,
 } = require("./utils");
+const { canGenerateVariants, generatePlaceholder } = require("./images");
+const { validateMeta } = require("./schema");
+const { findVideoSidecars, version: VIDEO_SIDECARS_VERSION } = require("./migrations/002-video-sidecars");
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion, isOutdated, migrateMeta } = require("./migrations");
+const CONFIG = require("./config");
 
 /**
  * Get images from a project directory
@@ -45,18 +53,82 @@ function getImagesFromProject(projectPath, metaImages, parentFolder, folderName)
   return images;
 }
 
+// Project folders already warned about (scans repeat while the server runs)
+const warnedSidecarPaths = new Set();
+
+/**
+ * Warn (once per project) about video sidecars left after migrating. Below
+ * that schema version they are imported whenever the project is read.
+ * @param {string} projectPath - Path to project folder
+ * @param {string} metaPath - Path to its meta.json
+ */
+function warnAboutVideoSidecars(projectPath, metaPath) {
+  if (warnedSidecarPaths.has(projectPath)) return;
+  const sidecars = findVideoSidecars(projectPath);
+  if (sidecars.length === 0) return;
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  } catch (err) {
+    return; // Reported when the project is built
+  }
+  if (getSchemaVersion(meta) < VIDEO_SIDECARS_VERSION) return;
+
+  warnedSidecarPaths.add(projectPath);
+  console.warn(
+    `Warning: ${projectPath} has video sidecars migrate-content.js couldn't import (${sidecars.join(", ")}), ` +
+      "fix or remove their lines that aren't video URLs",
+  );
+}
+
+/**
+ * List the files a meta.json refers to (relative to its project folder)
+ * @param {Object} meta - Meta object from meta.json
+ * @returns {Array<{src: string, kind: string}>} Files with their kind
+ *   ("image", "variant", "video" or "poster")
+ */
+function getReferencedFiles(meta) {
+  const files = [];
+  const addImage = (image) => {
+    if (!image || typeof image !== "object" || !image.src) return;
+    files.push({ src: image.src, kind: "image" });
+    (Array.isArray(image.variants) ? image.variants : []).forEach((variant) => {
+      if (variant && variant.src) files.push({ src: variant.src, kind: "variant" });
+    });
+  };
+
+  if (Array.isArray(meta.content)) {
+    meta.content.forEach((item) => {
+      if (!item) return;
+      if (item.type === "image") addImage(item);
+      else if (item.type === "comparison") [item.before, item.after].forEach(addImage);
+      else if (item.type === "localVideo") {
+        if (item.src) files.push({ src: item.src, kind: "video" });
+        if (item.poster) files.push({ src: item.poster, kind: "poster" });
+      }
+    });
+  } else if (Array.isArray(meta.images)) {
+    meta.images.forEach((img) => {
+      const src = getImageSrc(img);
+      if (src) files.push({ src, kind: "image" });
+    });
+  }
+
+  return files;
+}
+
 /**
  * Scan projects in a directory (year folder or client folder)
  * @param {string} parentPath - Path to parent directory
  * @param {string} parentName - Name of parent directory
  * @param {boolean} isYearFolder - Whether parent is a year folder
- * @returns {Object[]} Array of project info objects
+ * @returns {Promise<Object[]>} Array of project info objects
  */
-function scanProjectsInDirectory(parentPath, parentName, isYearFolder) {
+async function scanProjectsInDirectory(parentPath, parentName, isYearFolder) {
   const projects = [];
 
   try {
-    const folders = fs.readdirSync(parentPath, { withFileTypes: true });
+    const folders = await fsPromises.readdir(parentPath, { withFileTypes: true });
 
     for (const folder of folders) {
       if (!folder.isDirectory() || folder.name.startsWith(".")) continue;
@@ -65,6 +137,7 @@ function scanProjectsInDirectory(parentPath, parentName, isYearFolder) {
       const metaPath = path.join(projectPath, "meta.json");
 
       if (fs.existsSync(metaPath)) {
+        warnAboutVideoSidecars(projectPath, metaPath);
         projects.push({
           path: projectPath,
           metaPath: metaPath,
@@ -82,11 +155,11 @@ function scanProjectsInDirectory(parentPath, parentName, isYearFolder) {
 }
 
 /**
- * Get all projects from works directory (sync version for build script)
+ * Get all projects from works directory
  * @param {string} worksDir - Path to works directory
- * @returns {Object[]} Array of project info objects
+ * @returns {Promise<Object[]>} Array of project info objects
  */
-function getAllProjects(worksDir) {
+async function getAllProjects(worksDir) {
   const projects = [];
 
   if (!fs.existsSync(worksDir)) {
@@ -95,7 +168,7 @@ function getAllProjects(worksDir) {
   }
 
   try {
-    const entries = fs.readdirSync(worksDir, { withFileTypes: true });
+    const entries = await fsPromises.readdir(worksDir, { withFileTypes: true });
 
     for (const entry of entries) {
       if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
@@ -103,7 +176,7 @@ function getAllProjects(worksDir) {
       const entryPath = path.join(worksDir, entry.name);
       const isYearFolder = /^\d{4}$/.test(entry.name);
 
-      const entryProjects = scanProjectsInDirectory(
+      const entryProjects = await scanProjectsInDirectory(
         entryPath,
         entry.name,
         isYearFolder
@@ -130,9 +203,9 @@ function convertLegacyToContent(meta, projectPath, parentFolder, folderName) {
 
   // Add video first if it's a video type
   if (meta.type === "video" && meta.videoId) {
-    const videoId = extractYouTubeId(meta.videoId);
-    if (videoId) {
-      content.push({ type: "video", videoId: videoId });
+    const video = parseVideoUrl(meta.videoId);
+    if (video) {
+      content.push({ type: "video", ...video });
     }
   }
 
@@ -159,6 +232,47 @@ function convertLegacyToContent(meta, projectPath, parentFolder, folderName) {
   return content;
 }
 
+/**
+ * Resolve responsive image variants to full paths, dropping missing files
+ * @param {Array} variants - Variant entries from meta.json ({src, width, format})
+ * @param {string} projectPath - Path to project folder
+ * @param {string} parentFolder - Parent folder name
+ * @param {string} folderName - Project folder name
+ * @returns {Array} Variant entries with full paths
+ */
+function buildVariantPaths(variants, projectPath, parentFolder, folderName) {
+  if (!Array.isArray(variants)) return [];
+
+  return variants
+    .filter((variant) => variant && variant.src && fs.existsSync(path.join(projectPath, variant.src)))
+    .map((variant) => ({
+      src: `works/${parentFolder}/${folderName}/${variant.src}`,
+      width: variant.width,
+      format: variant.format,
+    }));
+}
+
+/**
+ * Resolve a stored image (content item or comparison side) to full paths
+ * @param {Object} image - Image entry ({src, width?, height?, variants?})
+ * @param {string} projectPath - Path to project folder
+ * @param {string} parentFolder - Parent folder name
+ * @param {string} folderName - Project folder name
+ * @returns {Object|null} {src, width?, height?, variants?} or null if the file is missing
+ */
+function buildImagePaths(image, projectPath, parentFolder, folderName) {
+  if (!image || !image.src || !fs.existsSync(path.join(projectPath, image.src))) return null;
+
+  const resolved = { src: `works/${parentFolder}/${folderName}/${image.src}` };
+  if (image.width && image.height) {
+    resolved.width = image.width;
+    resolved.height = image.height;
+  }
+  const variants = buildVariantPaths(image.variants, projectPath, parentFolder, folderName);
+  if (variants.length > 0) resolved.variants = variants;
+  return resolved;
+}
+
 /**
  * Build content array with full paths
  * @param {Array} content - Content array from meta.json
@@ -170,14 +284,33 @@ function convertLegacyToContent(meta, projectPath, parentFolder, folderName) {
 function buildContentPaths(content, projectPath, parentFolder, folderName) {
   return content.map(item => {
     if (item.type === "image") {
-      const imgPath = path.join(projectPath, item.src);
-      if (fs.existsSync(imgPath)) {
-        const fullPath = `works/${parentFolder}/${folderName}/${item.src}`;
-        const newItem = { type: "image", src: fullPath };
-        if (item.caption) newItem.caption = item.caption;
-        return newItem;
+      const image = buildImagePaths(item, projectPath, parentFolder, folderName);
+      if (!image) return null;
+      const newItem = { type: "image", ...image };
+      if (item.caption) newItem.caption = item.caption;
+      return newItem;
+    }
+    if (item.type === "comparison") {
+      const before = buildImagePaths(item.before, projectPath, parentFolder, folderName);
+      const after = buildImagePaths(item.after, projectPath, parentFolder, folderName);
+      if (!before || !after) return null;
+      if (item.before.label) before.label = item.before.label;
+      if (item.after.label) after.label = item.after.label;
+      return { type: "comparison", before, after };
+    }
+    if (item.type === "localVideo") {
+      if (!item.src || !fs.existsSync(path.join(projectPath, item.src))) return null;
+      const newItem = { type: "localVideo", src: `works/${parentFolder}/${folderName}/${item.src}` };
+      if (item.poster && fs.existsSync(path.join(projectPath, item.poster))) {
+        newItem.poster = `works/${parentFolder}/${folderName}/${item.poster}`;
       }
-      return null;
+      if (item.loop) newItem.loop = true;
+      if (item.muted) newItem.muted = true;
+      if (item.autoplay) newItem.autoplay = true;
+      return newItem;
+    }
+    if (item.type === "video") {
+      return normalizeVideoItem(item);
     }
     return item;
   }).filter(Boolean);
@@ -199,6 +332,34 @@ function buildContentFromMeta(meta, projectPath, parentFolder, folderName) {
   return convertLegacyToContent(meta, projectPath, parentFolder, folderName);
 }
 
+/**
+ * Add blur-up placeholders, dominant colours and dimensions to image content items
+ * and comparison sides
+ * (build only - too slow to run on every API scan)
+ * @param {Array} content - Content array with full paths
+ * @param {string} projectPath - Path to project folder
+ * @returns {Promise<Array>} The same content array, with image items updated in place
+ */
+async function addImagePlaceholders(content, projectPath) {
+  const images = content.flatMap((item) => {
+    if (item.type === "image") return [item];
+    if (item.type === "comparison") return [item.before, item.after];
+    return [];
+  });
+
+  for (const image of images) {
+    if (!canGenerateVariants(image.src)) continue;
+
+    const imgPath = path.join(projectPath, image.src.split("/").pop());
+    try {
+      Object.assign(image, await generatePlaceholder(imgPath));
+    } catch (err) {
+      console.error(`Error creating placeholder for ${imgPath}:`, err.message);
+    }
+  }
+  return content;
+}
+
 /**
  * Build legacy fields from content array for backwards compatibility
  * @param {Array} content - Content array
@@ -209,13 +370,15 @@ function buildLegacyFields(content) {
   let images = [];
   let info = "";
   let videoId = "";
+  let videoProvider = "";
   let thumbnail = "";
 
   for (const item of content) {
     if (item.type === "video" && !videoId) {
       type = "video";
-      videoId = item.videoId;
-      thumbnail = getYouTubeThumbnail(item.videoId);
+      videoId = item.id;
+      videoProvider = item.provider;
+      thumbnail = getVideoThumbnail(item);
     } else if (item.type === "image") {
       if (item.caption) {
         images.push({ src: item.src, caption: item.caption });
@@ -227,20 +390,53 @@ function buildLegacyFields(content) {
     }
   }
 
-  return { type, images, info, videoId, thumbnail };
+  return { type, images, info, videoId, videoProvider, thumbnail };
 }
 
 /**
- * Build project data from meta.json (sync version)
+ * Bring a parsed meta.json up to the current schema version in memory, or
+ * refuse it (CONFIG.migrations.outdatedProjects = "refuse")
+ * @param {Object} meta - Meta object from meta.json
+ * @param {string} projectPath - Path to project folder
+ * @returns {Object} Meta object at CURRENT_SCHEMA_VERSION
+ * @throws {Error} If the project is outdated and upgrades are refused
+ */
+function upgradeProjectMeta(meta, projectPath) {
+  if (!isOutdated(meta)) return meta;
+  if (CONFIG.migrations.outdatedProjects === "refuse") {
+    throw new Error(
+      `meta.json is schema version ${getSchemaVersion(meta)} (current ${CURRENT_SCHEMA_VERSION}), run migrate-content.js`,
+    );
+  }
+  return migrateMeta(meta, projectPath).meta;
+}
+
+/**
+ * Get a project's year (its year folder, or the leading year of a legacy folder name)
  * @param {Object} project - Project info object
- * @returns {Object|null} Project data object or null if error
+ * @returns {string} Year or "unknown"
+ */
+function getProjectYear(project) {
+  if (project.structure === "new") return project.parentFolder;
+  const yearMatch = project.folderName.match(/^(\d{4})/);
+  return yearMatch ? yearMatch[1] : "unknown";
+}
+
+/**
+ * Build the work object for a project from its meta.json. The result carries
+ * its filesystem location; pass it through toPublicWork or toAdminWork before
+ * it leaves the process.
+ * @param {Object} project - Project info object (from getAllProjects)
+ * @param {Object} [options]
+ * @param {boolean} [options.placeholders=false] - Add image placeholders (build only)
+ * @returns {Promise<Object|null>} Work object or null if meta.json can't be used
  */
-function buildProjectData(project) {
+async function buildWork(project, options = {}) {
   try {
-    const metaContent = fs.readFileSync(project.metaPath, "utf8");
-    const meta = JSON.parse(metaContent);
+    const metaContent = await fsPromises.readFile(project.metaPath, "utf8");
+    const meta = upgradeProjectMeta(JSON.parse(metaContent), project.path);
 
-    const data = {
+    const work = {
       id: `${project.parentFolder}-${project.folderName}`,
       title: meta.title || "",
       client: meta.client || "",
@@ -253,111 +449,130 @@ function buildProjectData(project) {
     };
 
     // Handle content - new format or legacy conversion
-    data.content = buildContentFromMeta(
+    work.content = buildContentFromMeta(
       meta,
       project.path,
       project.parentFolder,
       project.folderName
     );
 
-    // Generate legacy fields for backwards compatibility
-    Object.assign(data, buildLegacyFields(data.content));
+    // Blur-up placeholders and dominant colours for instant image painting
+    if (options.placeholders) {
+      await addImagePlaceholders(work.content, project.path);
+    }
 
-    return data;
+    // Generate legacy fields for backwards compatibility
+    Object.assign(work, buildLegacyFields(work.content));
+
+    // Publishing state and location (admin only)
+    Object.assign(work, {
+      status: getWorkStatus(meta),
+      publishAt: meta.publishAt || "",
+      year: getProjectYear(project),
+      folder: project.folderName,
+      parentFolder: project.parentFolder,
+      path: project.path,
+    });
+
+    return work;
   } catch (error) {
     console.error(`Error processing project at ${project.path}:`, error.message);
     return null;
   }
 }
 
+// Fields for the admin only: publishing state and where a work lives on disk
+const ADMIN_FIELDS = ["status", "publishAt", "year", "folder", "parentFolder", "path"];
+
 /**
- * Scan all works from works directory (async version for server)
- * @param {string} worksDir - Path to works directory
- * @returns {Promise<Object[]>} Array of work objects with full data
+ * Project a work for data.json and public pages (no publishing state or
+ * filesystem locations)
+ * @param {Object} work - Work object (from buildWork)
+ * @returns {Object} Public work object
  */
-async function scanAllWorksAsync(worksDir) {
-  const works = [];
+function toPublicWork(work) {
+  const publicWork = { ...work };
+  ADMIN_FIELDS.forEach((field) => delete publicWork[field]);
+  return publicWork;
+}
 
-  try {
-    const entries = await fsPromises.readdir(worksDir, { withFileTypes: true });
+/**
+ * Project a work for the admin API: the public fields plus its folder,
+ * with the path relative to the site root
+ * @param {Object} work - Work object (from buildWork)
+ * @param {string} rootDir - Path to site root
+ * @returns {Object} Admin work object
+ */
+function toAdminWork(work, rootDir) {
+  return {
+    ...work,
+    path: path.relative(rootDir, work.path).split(path.sep).join("/"),
+  };
+}
 
-    for (const entry of entries) {
-      if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+/**
+ * Get a work's date as a timestamp for sorting (0 when missing or invalid)
+ * @param {Object} work - Work object
+ * @returns {number} Milliseconds since the epoch
+ */
+function getWorkTimestamp(work) {
+  const time = new Date(work.date || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
 
-      const entryPath = path.join(worksDir, entry.name);
-      const isYearFolder = /^\d{4}$/.test(entry.name);
+/**
+ * Sort works newest first, ties broken by id so the order doesn't depend
+ * on the order directories are listed in
+ * @param {Object[]} works - Work objects
+ * @returns {Object[]} New sorted array
+ */
+function sortWorks(works) {
+  return [...works].sort((a, b) => {
+    return getWorkTimestamp(b) - getWorkTimestamp(a) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  });
+}
 
-      const projectFolders = await fsPromises.readdir(entryPath, { withFileTypes: true });
-
-      for (const projectFolder of projectFolders) {
-        if (!projectFolder.isDirectory() || projectFolder.name.startsWith(".")) continue;
-
-        const projectPath = path.join(entryPath, projectFolder.name);
-        const metaPath = path.join(projectPath, "meta.json");
-
-        if (fs.existsSync(metaPath)) {
-          try {
-            const metaContent = await fsPromises.readFile(metaPath, "utf8");
-            const meta = JSON.parse(metaContent);
-
-            // Determine year
-            let year;
-            if (isYearFolder) {
-              year = entry.name;
-            } else {
-              const yearMatch = projectFolder.name.match(/^(\d{4})/);
-              year = yearMatch ? yearMatch[1] : "unknown";
-            }
-
-            // Handle content - new format or legacy conversion
-            const content = buildContentFromMeta(
-              meta,
-              projectPath,
-              entry.name,
-              projectFolder.name
-            );
-
-            // Generate legacy fields for backwards compatibility
-            const { type, images, info, videoId, thumbnail } = buildLegacyFields(content);
-
-            works.push({
-              id: `${entry.name}-${projectFolder.name}`,
-              title: meta.title || "",
-              type: type,
-              client: meta.client || "",
-              industry: meta.industry || "",
-              contribution: meta.contribution || "",
-              date: meta.date || "",
-              style: meta.style || "",
-              software: meta.software || "",
-              info: info,
-              featured: meta.featured || false,
-              videoId: videoId,
-              images: images,
-              content: content,
-              thumbnail: thumbnail,
-              year: year,
-              folder: projectFolder.name,
-              parentFolder: entry.name,
-              path: projectPath,
-            });
-          } catch (err) {
-            console.error(`Error reading meta.json in ${metaPath}:`, err.message);
-          }
-        }
-      }
-    }
-  } catch (err) {
-    console.error("Error scanning works:", err.message);
+/**
+ * Validate a project's meta.json against the meta schema
+ * @param {Object} project - Project info object
+ * @returns {Array<{path: string, message: string}>} Field-level errors (empty when valid)
+ */
+function validateProject(project) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(project.metaPath, "utf8"));
+    return validateMeta(meta);
+  } catch (error) {
+    return [{ path: "", message: `meta.json could not be read: ${error.message}` }];
   }
+}
 
-  return works;
+/**
+ * Scan all works from works directory
+ * @param {string} worksDir - Path to works directory
+ * @param {Object} [options] - Options for buildWork
+ * @returns {Promise<Object[]>} Work objects, sorted with sortWorks
+ */
+async function scanWorks(worksDir, options = {}) {
+  const works = [];
+  for (const project of await getAllProjects(worksDir)) {
+    const work = await buildWork(project, options);
+    if (work) works.push(work);
+  }
+  return sortWorks(works);
 }
 
 module.exports = {
   getImagesFromProject,
   scanProjectsInDirectory,
   getAllProjects,
-  buildProjectData,
-  scanAllWorksAsync,
+  findVideoSidecars,
+  getReferencedFiles,
+  upgradeProjectMeta,
+  buildWork,
+  toPublicWork,
+  toAdminWork,
+  sortWorks,
+  validateProject,
+  addImagePlaceholders,
+  scanWorks,
 };
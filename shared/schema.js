@@ -0,0 +1,341 @@
+/**
+ * JSON Schema for meta.json (work fields and content items), derived from CONFIG,
+ * and a validator returning field-level errors
+ * Used by: server.js, build-data.js, shared/scanner.js, admin/admin.js
+ */
+
+// Resolve shared modules in either environment (browser global or CommonJS)
+function getSchemaUtils() {
+  if (typeof window !== "undefined" && window.PortfolioUtils) {
+    return window.PortfolioUtils;
+  }
+  return require("./utils");
+}
+
+function getSchemaConfig() {
+  if (typeof window !== "undefined" && window.PortfolioConfig) {
+    return window.PortfolioConfig;
+  }
+  return require("./config");
+}
+
+// Stored image (image item or comparison side) with its generated variants
+const STORED_IMAGE_PROPERTIES = {
+  src: { type: "string", minLength: 1 },
+  width: { type: "integer", minimum: 1 },
+  height: { type: "integer", minimum: 1 },
+  variants: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["src", "width", "format"],
+      properties: {
+        src: { type: "string", minLength: 1 },
+        width: { type: "integer", minimum: 1 },
+        format: { type: "string", minLength: 1 },
+      },
+      additionalProperties: false,
+    },
+  },
+};
+
+/**
+ * Build the schema of a single content item, one branch per item type
+ * @param {Object} config - Portfolio config
+ * @returns {Object} JSON Schema
+ */
+function buildContentItemSchema(config) {
+  const { getVideoProviderNames, getVideoProvider } = getSchemaUtils();
+  const extensions = config.localVideo.extensions.map((ext) => ext.replace(".", "\\."));
+  const videoPattern = `(${extensions.join("|")})$`;
+
+  const comparisonSide = {
+    type: "object",
+    required: ["src"],
+    properties: { ...STORED_IMAGE_PROPERTIES, label: { type: "string" } },
+    additionalProperties: false,
+  };
+
+  // Each provider's IDs must match its idPattern (they end up in embed URLs)
+  const videoIdChecks = getVideoProviderNames()
+    .filter((name) => getVideoProvider(name).idPattern)
+    .map((name) => ({
+      if: { required: ["provider"], properties: { provider: { const: name } } },
+      then: {
+        properties: {
+          id: {
+            type: "string",
+            pattern: getVideoProvider(name).idPattern.source,
+            description: `a ${getVideoProvider(name).label} video ID`,
+          },
+        },
+      },
+    }));
+
+  const itemSchemas = {
+    image: {
+      required: ["src"],
+      properties: { ...STORED_IMAGE_PROPERTIES, caption: { type: "string" } },
+    },
+    text: {
+      required: ["text"],
+      properties: { text: { type: "string" } },
+    },
+    video: {
+      // Legacy items store the YouTube URL or ID as videoId
+      anyOf: [{ required: ["provider", "id"] }, { required: ["videoId"] }],
+      properties: {
+        provider: { enum: getVideoProviderNames() },
+        id: { type: "string", minLength: 1 },
+        videoId: { type: "string", minLength: 1 },
+        thumbnail: {
+          type: "string",
+          pattern: "^https?://[^\\s\"'<>]+$",
+          description: "an http(s) URL",
+        },
+      },
+      allOf: videoIdChecks,
+    },
+    localVideo: {
+      required: ["src"],
+      properties: {
+        src: {
+          type: "string",
+          pattern: videoPattern,
+          description: `a ${config.localVideo.extensions.join(" or ")} file`,
+        },
+        poster: { type: "string", minLength: 1 },
+        loop: { type: "boolean" },
+        muted: { type: "boolean" },
+        autoplay: { type: "boolean" },
+      },
+    },
+    comparison: {
+      required: ["before", "after"],
+      properties: { before: comparisonSide, after: comparisonSide },
+    },
+  };
+
+  return {
+    type: "object",
+    required: ["type"],
+    properties: { type: { enum: Object.keys(itemSchemas) } },
+    allOf: Object.entries(itemSchemas).map(([type, schema]) => ({
+      if: { properties: { type: { const: type } } },
+      then: {
+        ...schema,
+        properties: { type: { const: type }, ...schema.properties },
+        additionalProperties: false,
+      },
+    })),
+  };
+}
+
+/**
+ * Build the meta.json schema from the portfolio config
+ * @param {Object} [config] - Portfolio config (defaults to shared/config.js)
+ * @returns {Object} JSON Schema (draft 2020-12 subset understood by validateAgainstSchema)
+ */
+function buildMetaSchema(config = getSchemaConfig()) {
+  const text = { type: "string" };
+  const properties = {
+    schemaVersion: { type: "integer", minimum: 0 },
+    title: text,
+    date: {
+      type: "string",
+      pattern: "^\\d{4}(-\\d{2}(-\\d{2})?)?$",
+      description: "a year (YYYY) or date (YYYY-MM-DD)",
+    },
+    client: text,
+    industry: { enum: ["", ...config.industries] },
+    contribution: text,
+    style: text,
+    software: text,
+    featured: { type: "boolean" },
+    status: { enum: config.publishing.statuses },
+    publishAt: {
+      type: "string",
+      pattern: "^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$",
+      description: "a date (YYYY-MM-DD) or date and time (YYYY-MM-DDTHH:MM)",
+    },
+    content: { type: "array", items: buildContentItemSchema(config) },
+    // Legacy format (converted to content when scanned)
+    type: { enum: config.workTypes },
+    info: text,
+    videoId: text,
+    images: {
+      type: "array",
+      items: {
+        anyOf: [
+          { type: "string", minLength: 1 },
+          {
+            type: "object",
+            required: ["src"],
+            properties: { src: { type: "string", minLength: 1 }, caption: text },
+            additionalProperties: false,
+          },
+        ],
+      },
+    },
+  };
+
+  // Required fields must also be non-empty
+  config.requiredFields.forEach((key) => {
+    properties[key] = { ...properties[key], minLength: 1 };
+  });
+
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "Work meta.json",
+    type: "object",
+    required: config.requiredFields,
+    properties,
+    additionalProperties: false,
+    // Scheduled works need to know when to go live
+    allOf: [
+      {
+        if: { required: ["status"], properties: { status: { const: "scheduled" } } },
+        then: { required: ["publishAt"] },
+      },
+    ],
+  };
+}
+
+/**
+ * Get the JSON type name of a value ("integer" for whole numbers)
+ * @param {*} value - Any value
+ * @returns {string} JSON Schema type name
+ */
+function getJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Join a property name or array index onto an error path
+ * @param {string} base - Path so far ("" for the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Path such as "content[2].src"
+ */
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema. Supports type, enum, const, pattern,
+ * minLength, minimum, required, properties, additionalProperties, items,
+ * allOf, anyOf and if/then. A pattern's description is used as its message.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [basePath=""] - Path of the value (for error messages)
+ * @returns {Array<{path: string, message: string}>} Errors (empty when valid)
+ */
+function validateAgainstSchema(value, schema, basePath = "") {
+  const errors = [];
+  const fail = (message, errorPath = basePath) => errors.push({ path: errorPath, message });
+  const type = getJsonType(value);
+
+  if (schema.type) {
+    const matches = type === schema.type || (schema.type === "number" && type === "integer");
+    if (!matches) {
+      fail(`must be ${schema.type === "integer" || schema.type === "array" || schema.type === "object" ? "an" : "a"} ${schema.type}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be "${schema.const}"`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.filter(Boolean).join(", ")}`);
+  }
+
+  if (type === "string") {
+    if (schema.minLength && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.description ? `must be ${schema.description}` : `must match ${schema.pattern}`);
+    }
+  }
+  if ((type === "integer" || type === "number") && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+
+  if (type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) fail("is required", joinPath(basePath, key));
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties && schema.properties[key];
+      if (childSchema) {
+        errors.push(...validateAgainstSchema(child, childSchema, joinPath(basePath, key)));
+      } else if (schema.additionalProperties === false) {
+        fail("is not an allowed field", joinPath(basePath, key));
+      }
+    });
+  }
+
+  if (type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, joinPath(basePath, index)));
+    });
+  }
+
+  (schema.allOf || []).forEach((subschema) => {
+    errors.push(...validateAgainstSchema(value, subschema, basePath));
+  });
+
+  // Report the first branch's errors when no branch matches
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map((subschema) => validateAgainstSchema(value, subschema, basePath));
+    if (!branchErrors.some((branch) => branch.length === 0)) {
+      errors.push(...branchErrors[0]);
+    }
+  }
+
+  if (schema.if && schema.then && validateAgainstSchema(value, schema.if, basePath).length === 0) {
+    errors.push(...validateAgainstSchema(value, schema.then, basePath));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a meta.json object
+ * @param {Object} meta - Parsed meta.json (or meta about to be written)
+ * @returns {Array<{path: string, message: string}>} Field-level errors (empty when valid)
+ */
+function validateMeta(meta) {
+  return validateAgainstSchema(meta, buildMetaSchema());
+}
+
+/**
+ * Format validation errors as readable lines ("content[2].src is required")
+ * @param {Array<{path: string, message: string}>} errors - Errors from validateMeta
+ * @returns {string[]} One line per error
+ */
+function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => (path ? `${path} ${message}` : message));
+}
+
+// Export for Node.js (CommonJS)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    buildMetaSchema,
+    validateAgainstSchema,
+    validateMeta,
+    formatValidationErrors,
+  };
+}
+
+// Export for browser (window global)
+if (typeof window !== "undefined") {
+  window.PortfolioSchema = {
+    buildMetaSchema,
+    validateAgainstSchema,
+    validateMeta,
+    formatValidationErrors,
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * Full-text search over works (titles, meta fields, captions and text blocks)
+ * Used by: build-data.js (search-index.json), script.js (Index search box)
+ */
+
+// Resolve shared modules in either environment (browser global or CommonJS)
+function getSearchUtils() {
+  if (typeof window !== "undefined" && window.PortfolioUtils) {
+    return window.PortfolioUtils;
+  }
+  return require("./utils");
+}
+
+function getSearchConfig() {
+  if (typeof window !== "undefined" && window.PortfolioConfig) {
+    return window.PortfolioConfig;
+  }
+  return require("./config");
+}
+
+// Bump when the index layout changes; stale files are rebuilt in the browser
+const SEARCH_INDEX_VERSION = 1;
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is",
+  "it", "of", "on", "or", "that", "the", "this", "to", "was", "with",
+]);
+
+/**
+ * Normalize a single word for indexing (lowercase, accents stripped)
+ * @param {string} word - Word to normalize
+ * @returns {string} Normalized word
+ */
+function normalizeTerm(word) {
+  return word.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Split text into normalized search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms (stop words and single characters removed)
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return (text.toString().match(/[\p{L}\p{N}]+/gu) || [])
+    .map(normalizeTerm)
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Collect the searchable text of a work, grouped by weight category
+ * @param {Object} work - Work object (as in data.json)
+ * @returns {{title: string[], meta: string[], caption: string[], text: string[]}} Text per field
+ */
+function getSearchableText(work) {
+  const fields = { title: [work.title], meta: [], caption: [], text: [] };
+
+  ["client", "contribution", "industry", "style", "software", "date"].forEach((key) => {
+    if (work[key]) fields.meta.push(work[key]);
+  });
+
+  (work.content || []).forEach((item) => {
+    if (item.type === "text") fields.text.push(item.text);
+    else if (item.type === "image" && item.caption) fields.caption.push(item.caption);
+    else if (item.type === "comparison") {
+      fields.caption.push(item.before.label, item.after.label);
+    }
+  });
+
+  if (!Array.isArray(work.content) && work.info) fields.text.push(work.info);
+  return fields;
+}
+
+/**
+ * Build a compact inverted index for a list of works.
+ * Postings are flat [docIndex, weight, docIndex, weight, ...] arrays.
+ * @param {Object[]} works - Works (as in data.json)
+ * @returns {{version: number, ids: string[], terms: Object<string, number[]>}} Search index
+ */
+function buildSearchIndex(works) {
+  const { weights } = getSearchConfig().search;
+  const terms = {};
+
+  works.forEach((work, docIndex) => {
+    const termWeights = new Map();
+    Object.entries(getSearchableText(work)).forEach(([field, texts]) => {
+      texts.forEach((text) => {
+        tokenize(text).forEach((term) => {
+          termWeights.set(term, (termWeights.get(term) || 0) + weights[field]);
+        });
+      });
+    });
+    termWeights.forEach((weight, term) => {
+      if (!terms[term]) terms[term] = [];
+      terms[term].push(docIndex, weight);
+    });
+  });
+
+  return { version: SEARCH_INDEX_VERSION, ids: works.map((work) => work.id), terms };
+}
+
+/**
+ * Edit distance between two words, giving up once it exceeds a limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 when further apart
+ */
+function boundedEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how well an indexed term matches a query term
+ * (exact > prefix > fuzzy; 0 means no match)
+ * @param {string} queryTerm - Normalized query term
+ * @param {string} term - Indexed term
+ * @returns {number} Match quality between 0 and 1
+ */
+function getMatchQuality(queryTerm, term) {
+  const { minPrefixLength, minFuzzyLength } = getSearchConfig().search;
+
+  if (term === queryTerm) return 1;
+  if (queryTerm.length >= minPrefixLength && term.startsWith(queryTerm)) {
+    return 0.5 + 0.3 * (queryTerm.length / term.length);
+  }
+  if (queryTerm.length >= minFuzzyLength) {
+    const maxEdits = queryTerm.length >= 7 ? 2 : 1;
+    const distance = boundedEditDistance(queryTerm, term, maxEdits);
+    if (distance <= maxEdits) return 0.4 / distance;
+  }
+  return 0;
+}
+
+/**
+ * Search the index. Every query word must match (exactly, as a prefix or
+ * fuzzily) for a work to be returned.
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Free-text query
+ * @returns {Array<{id: string, score: number, terms: string[]}>} Matches, best first,
+ *   with the indexed terms that matched (for highlighting)
+ */
+function searchIndex(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const vocabulary = Object.keys(index.terms);
+  let results = null;
+
+  for (const queryTerm of queryTerms) {
+    const matches = new Map();
+
+    for (const term of vocabulary) {
+      const quality = getMatchQuality(queryTerm, term);
+      if (quality === 0) continue;
+
+      const postings = index.terms[term];
+      for (let i = 0; i < postings.length; i += 2) {
+        const match = matches.get(postings[i]) || { score: 0, terms: [] };
+        match.score += postings[i + 1] * quality;
+        match.terms.push(term);
+        matches.set(postings[i], match);
+      }
+    }
+
+    if (results === null) {
+      results = matches;
+    } else {
+      for (const [docIndex, result] of results) {
+        const match = matches.get(docIndex);
+        if (!match) {
+          results.delete(docIndex);
+        } else {
+          result.score += match.score;
+          result.terms.push(...match.terms);
+        }
+      }
+    }
+  }
+
+  return [...results]
+    .map(([docIndex, { score, terms }]) => ({ id: index.ids[docIndex], score, terms }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Escape text for HTML and wrap words matching any of the terms in <mark>
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Normalized terms to highlight
+ * @returns {string} HTML string
+ */
+function highlightTerms(text, terms) {
+  const { escapeHtml } = getSearchUtils();
+  if (!text) return "";
+  if (!terms || terms.length === 0) return escapeHtml(text);
+
+  const termSet = new Set(terms);
+  let html = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (!termSet.has(normalizeTerm(match[0]))) continue;
+    html += escapeHtml(text.slice(lastIndex, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Build a highlighted excerpt around the first matching word of a work's
+ * captions or text blocks
+ * @param {Object} work - Work object
+ * @param {string[]} terms - Normalized terms that matched
+ * @param {number} [radius=60] - Characters of context on each side
+ * @returns {string} HTML string, empty when no caption or text matched
+ */
+function getSearchSnippet(work, terms, radius = 60) {
+  if (!terms || terms.length === 0) return "";
+  const termSet = new Set(terms);
+  const { caption, text } = getSearchableText(work);
+
+  for (const source of [...caption, ...text]) {
+    if (!source) continue;
+    const match = [...source.matchAll(/[\p{L}\p{N}]+/gu)].find((m) => termSet.has(normalizeTerm(m[0])));
+    if (!match) continue;
+
+    const start = Math.max(0, match.index - radius);
+    const end = Math.min(source.length, match.index + match[0].length + radius);
+    const prefix = start > 0 ? "… " : "";
+    const suffix = end < source.length ? " …" : "";
+    return prefix + highlightTerms(source.slice(start, end).trim(), terms) + suffix;
+  }
+  return "";
+}
+
+// Export for Node.js (CommonJS)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SEARCH_INDEX_VERSION,
+    tokenize,
+    buildSearchIndex,
+    searchIndex,
+    highlightTerms,
+    getSearchSnippet,
+  };
+}
+
+// Export for browser (window global)
+if (typeof window !== "undefined") {
+  window.PortfolioSearch = {
+    SEARCH_INDEX_VERSION,
+    tokenize,
+    buildSearchIndex,
+    searchIndex,
+    highlightTerms,
+    getSearchSnippet,
+  };
+}
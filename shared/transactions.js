@@ -0,0 +1,250 @@
+/**
+ * Crash-safe changes to work folders. New files and meta.json are written to
+ * a staging folder (CONFIG.staging.dir) first, so a failed request leaves the
+ * work untouched. Committing follows a journal: rename the folder (if the
+ * work moved), swap in new and replaced files, then meta.json last, then mark
+ * the journal committed. A commit that fails part way is rolled back from the
+ * journal, as are journals a crash left in the committing state
+ * (recoverWorkChanges, run when the server starts); committed ones are only
+ * cleaned up.
+ *
+ * Layout: <root>/.staging/<change id>/journal.json  state and paths
+ *         <root>/.staging/<change id>/files/        staged files
+ *         <root>/.staging/<change id>/replaced/     files overwritten by the commit
+ * Used by: server.js
+ */
+
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const CONFIG = require("./config");
+
+// Pending lock per key (work folder path), chained so holders run one at a time
+const locks = new Map();
+
+// Wait for a key's lock; resolves with a function that releases it
+function acquireLock(key) {
+  const previous = locks.get(key) || Promise.resolve();
+  let release;
+  const held = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => held);
+  locks.set(key, tail);
+
+  return previous.then(() => () => {
+    release();
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+}
+
+/**
+ * Run a function while holding the locks for some work folders, so
+ * concurrent changes to the same work run one after another
+ * @param {string[]} keys - Work folder paths (current and, for renames, new)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What fn returns
+ */
+async function withWorkLock(keys, fn) {
+  const releases = [];
+  // Always locked in the same order, so two renames can't deadlock
+  for (const key of [...new Set(keys)].sort()) {
+    releases.push(await acquireLock(key));
+  }
+  try {
+    return await fn();
+  } finally {
+    releases.reverse().forEach((release) => release());
+  }
+}
+
+// Folders of a change's staging area
+function getChangePaths(rootDir, id) {
+  const changeDir = path.join(rootDir, CONFIG.staging.dir, id);
+  return {
+    changeDir,
+    journalFile: path.join(changeDir, "journal.json"),
+    filesDir: path.join(changeDir, "files"),
+    replacedDir: path.join(changeDir, "replaced"),
+  };
+}
+
+// Write the journal via a temporary file so it's never half written
+async function writeJournal(rootDir, journal) {
+  const { journalFile } = getChangePaths(rootDir, journal.id);
+  const tempFile = `${journalFile}.tmp`;
+  await fsPromises.writeFile(tempFile, JSON.stringify(journal, null, 2), "utf8");
+  await fsPromises.rename(tempFile, journalFile);
+}
+
+// Apply a committing journal: folder rename, staged files, meta.json last
+async function applyJournal(rootDir, journal) {
+  const { filesDir, replacedDir } = getChangePaths(rootDir, journal.id);
+  const targetPath = path.join(rootDir, journal.targetPath);
+
+  // New work: the staged folder becomes the work in one rename
+  if (!journal.projectPath) {
+    if (fs.existsSync(targetPath)) throw new Error(`${journal.targetPath} already exists`);
+    await fsPromises.mkdir(path.dirname(targetPath), { recursive: true });
+    await fsPromises.rename(filesDir, targetPath);
+    return;
+  }
+
+  const projectPath = path.join(rootDir, journal.projectPath);
+  if (projectPath !== targetPath) {
+    if (fs.existsSync(targetPath)) throw new Error(`${journal.targetPath} already exists`);
+    await fsPromises.mkdir(path.dirname(targetPath), { recursive: true });
+    await fsPromises.rename(projectPath, targetPath);
+  }
+
+  await fsPromises.mkdir(replacedDir, { recursive: true });
+  for (const name of journal.files) {
+    const livePath = path.join(targetPath, name);
+    if (fs.existsSync(livePath)) {
+      await fsPromises.rename(livePath, path.join(replacedDir, name));
+    }
+    await fsPromises.rename(path.join(filesDir, name), livePath);
+  }
+}
+
+// Undo whatever part of a committing journal was applied. Safe to run more
+// than once (a crash can interrupt a rollback too), and on journals whose
+// commit never started.
+async function rollbackJournal(rootDir, journal) {
+  const { changeDir, filesDir, replacedDir } = getChangePaths(rootDir, journal.id);
+  const targetPath = path.join(rootDir, journal.targetPath);
+
+  if (!journal.projectPath) {
+    // The work folder is entirely new once the staged folder has moved
+    if (!fs.existsSync(filesDir)) {
+      await fsPromises.rm(targetPath, { recursive: true, force: true });
+    }
+  } else {
+    const projectPath = path.join(rootDir, journal.projectPath);
+    const moved = projectPath !== targetPath && fs.existsSync(targetPath) && !fs.existsSync(projectPath);
+    const liveDir = moved ? targetPath : projectPath;
+
+    for (const name of [...journal.files].reverse()) {
+      const livePath = path.join(liveDir, name);
+      const replacedPath = path.join(replacedDir, name);
+      const placed = !fs.existsSync(path.join(filesDir, name));
+      // A replacement whose old file is no longer in replaced/ was never
+      // swapped, or has been restored already: the live file is the old one
+      const isReplacement = journal.replaces ? journal.replaces.includes(name) : fs.existsSync(replacedPath);
+      if (fs.existsSync(replacedPath)) {
+        await fsPromises.rename(replacedPath, livePath);
+      } else if (placed && !isReplacement) {
+        await fsPromises.rm(livePath, { force: true });
+      }
+    }
+    if (moved) {
+      await fsPromises.rename(targetPath, projectPath);
+    }
+  }
+
+  await fsPromises.rm(changeDir, { recursive: true, force: true });
+}
+
+/**
+ * Start a staged change to a work folder. Write new files into change.dir
+ * (check names with change.exists), stage meta.json with writeMeta, then
+ * commit; call abort to throw the staged files away instead.
+ * @param {string} rootDir - Path to site root
+ * @param {Object} paths
+ * @param {string|null} paths.projectPath - Current work folder (null for a new work)
+ * @param {string} paths.targetPath - Work folder after the change (differs on renames)
+ * @returns {Promise<{dir: string, exists: Function, writeMeta: Function, commit: Function, abort: Function}>}
+ */
+async function beginWorkChange(rootDir, { projectPath, targetPath }) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const { changeDir, filesDir } = getChangePaths(rootDir, id);
+  const relative = (absolute) => path.relative(rootDir, absolute).split(path.sep).join("/");
+  const journal = {
+    id,
+    state: "staging",
+    projectPath: projectPath ? relative(projectPath) : null,
+    targetPath: relative(targetPath),
+    files: [],
+    startedAt: new Date().toISOString(),
+  };
+
+  await fsPromises.mkdir(filesDir, { recursive: true });
+  await writeJournal(rootDir, journal);
+
+  return {
+    dir: filesDir,
+
+    // Whether a file name is taken, in the staged files or the current folder
+    exists(name) {
+      return fs.existsSync(path.join(filesDir, name)) ||
+        Boolean(projectPath && fs.existsSync(path.join(projectPath, name)));
+    },
+
+    async writeMeta(meta) {
+      await fsPromises.writeFile(path.join(filesDir, "meta.json"), JSON.stringify(meta, null, 2));
+    },
+
+    // Make the staged files live, rolling back if any step fails
+    async commit() {
+      const staged = (await fsPromises.readdir(filesDir)).filter((name) => name !== "meta.json");
+      journal.files = fs.existsSync(path.join(filesDir, "meta.json")) ? [...staged, "meta.json"] : staged;
+      // Files that overwrite existing ones (the rest are removed on rollback)
+      journal.replaces = projectPath ? journal.files.filter((name) => fs.existsSync(path.join(projectPath, name))) : [];
+      journal.state = "committing";
+      await writeJournal(rootDir, journal);
+
+      try {
+        await applyJournal(rootDir, journal);
+      } catch (err) {
+        await rollbackJournal(rootDir, journal);
+        throw err;
+      }
+      // From here on the change stands, even if cleaning up is interrupted
+      journal.state = "committed";
+      await writeJournal(rootDir, journal);
+      await fsPromises.rm(changeDir, { recursive: true, force: true });
+    },
+
+    async abort() {
+      await fsPromises.rm(changeDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Roll back changes interrupted by a crash, finish cleaning up committed
+ * ones and clear abandoned staging folders. Run before serving requests.
+ * @param {string} rootDir - Path to site root
+ * @returns {Promise<string[]>} Work folders that were rolled back
+ */
+async function recoverWorkChanges(rootDir) {
+  const stagingDir = path.join(rootDir, CONFIG.staging.dir);
+  if (!fs.existsSync(stagingDir)) return [];
+
+  const recovered = [];
+  for (const id of await fsPromises.readdir(stagingDir)) {
+    const { changeDir, journalFile } = getChangePaths(rootDir, id);
+    let journal = null;
+    try {
+      journal = JSON.parse(await fsPromises.readFile(journalFile, "utf8"));
+    } catch (err) {
+      // No journal: the change never got past staging
+    }
+
+    if (journal && journal.state === "committing") {
+      await rollbackJournal(rootDir, journal);
+      recovered.push(journal.projectPath || journal.targetPath);
+    } else {
+      // Committed (only the cleanup was cut short) or never got past staging
+      await fsPromises.rm(changeDir, { recursive: true, force: true });
+    }
+  }
+  return recovered;
+}
+
+module.exports = {
+  withWorkLock,
+  beginWorkChange,
+  recoverWorkChanges,
+};
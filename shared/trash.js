@@ -0,0 +1,152 @@
+/**
+ * Trash for deleted works: the project folder (with its revision history) is
+ * moved aside instead of removed, and can be put back until it is purged by
+ * hand or after CONFIG.trash.retentionDays.
+ *
+ * Layout: <root>/.trash/<entry id>/entry.json  what was deleted, when and by whom
+ *         <root>/.trash/<entry id>/work/       the project folder
+ * Used by: server.js
+ */
+
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const CONFIG = require("./config");
+
+const ENTRY_ID_PATTERN = /^\d+-[0-9a-f]{8}$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Folder of one trash entry (null for malformed ids)
+function getEntryDir(rootDir, entryId) {
+  if (typeof entryId !== "string" || !ENTRY_ID_PATTERN.test(entryId)) return null;
+  return path.join(rootDir, CONFIG.trash.dir, entryId);
+}
+
+/**
+ * Move a work's folder to the trash
+ * @param {string} rootDir - Path to site root
+ * @param {string} projectPath - Path to project folder
+ * @param {Object} info
+ * @param {string} info.workId - Work id at the time of deletion
+ * @param {string} info.title - Work title
+ * @param {string} info.deletedBy - Username
+ * @returns {Promise<Object>} The trash entry
+ */
+async function moveToTrash(rootDir, projectPath, { workId, title, deletedBy }) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const entryDir = getEntryDir(rootDir, id);
+  const entry = {
+    id,
+    workId,
+    title,
+    path: path.relative(rootDir, projectPath).split(path.sep).join("/"),
+    deletedAt: new Date().toISOString(),
+    deletedBy,
+  };
+
+  // The entry is written first: until the folder moves in, it's ignored
+  await fsPromises.mkdir(entryDir, { recursive: true });
+  await fsPromises.writeFile(path.join(entryDir, "entry.json"), JSON.stringify(entry, null, 2), "utf8");
+  try {
+    await fsPromises.rename(projectPath, path.join(entryDir, "work"));
+  } catch (err) {
+    await fsPromises.rm(entryDir, { recursive: true, force: true });
+    throw err;
+  }
+  return entry;
+}
+
+/**
+ * Read one trash entry
+ * @param {string} rootDir - Path to site root
+ * @param {string} entryId - Entry id
+ * @returns {Promise<Object|null>} The entry, or null if it doesn't exist (or
+ *   was left without its folder by an interrupted delete or restore)
+ */
+async function readTrashEntry(rootDir, entryId) {
+  const entryDir = getEntryDir(rootDir, entryId);
+  if (!entryDir || !fs.existsSync(path.join(entryDir, "work"))) return null;
+  return JSON.parse(await fsPromises.readFile(path.join(entryDir, "entry.json"), "utf8"));
+}
+
+/**
+ * List trashed works, most recently deleted first
+ * @param {string} rootDir - Path to site root
+ * @returns {Promise<Object[]>} Trash entries
+ */
+async function listTrash(rootDir) {
+  const trashDir = path.join(rootDir, CONFIG.trash.dir);
+  if (!fs.existsSync(trashDir)) return [];
+
+  const entries = [];
+  for (const name of await fsPromises.readdir(trashDir)) {
+    const entry = await readTrashEntry(rootDir, name);
+    if (entry) entries.push(entry);
+  }
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Put a trashed work back where it was
+ * @param {string} rootDir - Path to site root
+ * @param {string} entryId - Entry id
+ * @returns {Promise<Object>} The restored entry
+ * @throws {Error} If the entry doesn't exist or its old folder is taken again
+ */
+async function restoreFromTrash(rootDir, entryId) {
+  const entry = await readTrashEntry(rootDir, entryId);
+  if (!entry) throw new Error(`No trash entry ${entryId}`);
+
+  const projectPath = path.join(rootDir, entry.path);
+  if (fs.existsSync(projectPath)) {
+    throw new Error(`${entry.path} already exists, rename or delete that work first`);
+  }
+
+  const entryDir = getEntryDir(rootDir, entryId);
+  await fsPromises.mkdir(path.dirname(projectPath), { recursive: true });
+  await fsPromises.rename(path.join(entryDir, "work"), projectPath);
+  await fsPromises.rm(entryDir, { recursive: true, force: true });
+  return entry;
+}
+
+/**
+ * Permanently delete a trashed work
+ * @param {string} rootDir - Path to site root
+ * @param {string} entryId - Entry id
+ * @returns {Promise<Object>} The purged entry
+ * @throws {Error} If the entry doesn't exist
+ */
+async function purgeTrashEntry(rootDir, entryId) {
+  const entry = await readTrashEntry(rootDir, entryId);
+  if (!entry) throw new Error(`No trash entry ${entryId}`);
+  await fsPromises.rm(getEntryDir(rootDir, entryId), { recursive: true, force: true });
+  return entry;
+}
+
+/**
+ * Purge entries older than CONFIG.trash.retentionDays (0 keeps everything)
+ * @param {string} rootDir - Path to site root
+ * @param {Date} [now=new Date()] - Time to check against
+ * @returns {Promise<Object[]>} Purged entries
+ */
+async function purgeExpiredTrash(rootDir, now = new Date()) {
+  const { retentionDays } = CONFIG.trash;
+  if (!retentionDays) return [];
+
+  const cutoff = now.getTime() - retentionDays * DAY;
+  const expired = (await listTrash(rootDir)).filter((entry) => new Date(entry.deletedAt).getTime() < cutoff);
+  for (const entry of expired) {
+    await purgeTrashEntry(rootDir, entry.id);
+  }
+  return expired;
+}
+
+module.exports = {
+  moveToTrash,
+  readTrashEntry,
+  listTrash,
+  restoreFromTrash,
+  purgeTrashEntry,
+  purgeExpiredTrash,
+};
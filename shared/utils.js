@@ -22,21 +22,156 @@ function slugify(text) {
 }
 
 /**
- * Extract YouTube video ID from various URL formats
- * @param {string} url - YouTube URL or video ID
- * @returns {string} YouTube video ID or empty string
- */
-function extractYouTubeId(url) {
-  if (!url) return "";
-  const patterns = [
-    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\s?]+)/,
-    /^([a-zA-Z0-9_-]{11})$/, // Already just an ID
-  ];
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) return match[1];
+ * Video providers for embedded (third-party) video items.
+ * Each provider parses its own URLs and builds embed, page and thumbnail URLs:
+ *   patterns: RegExps whose first capture group is the video ID
+ *   idPattern: optional RegExp a well-formed ID matches (items with other IDs are rejected)
+ *   getEmbedUrl(id): iframe src
+ *   getPageUrl(id): canonical watch page (used for oEmbed lookups)
+ *   getThumbnailUrl(id): static thumbnail URL, or "" when only oEmbed knows it
+ *   oembedEndpoint: optional oEmbed endpoint for thumbnail lookups
+ * Register more with registerVideoProvider().
+ */
+const VIDEO_PROVIDERS = {
+  youtube: {
+    label: "YouTube",
+    patterns: [
+      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/shorts\/)([^&\s?/]+)/,
+      /^([a-zA-Z0-9_-]{11})$/, // Already just an ID
+    ],
+    idPattern: /^[a-zA-Z0-9_-]{11}$/,
+    getEmbedUrl: (id) => `https://www.youtube.com/embed/${id}`,
+    getPageUrl: (id) => `https://www.youtube.com/watch?v=${id}`,
+    getThumbnailUrl: (id) => `https://img.youtube.com/vi/${id}/maxresdefault.jpg`,
+    oembedEndpoint: "https://www.youtube.com/oembed",
+  },
+  vimeo: {
+    label: "Vimeo",
+    patterns: [
+      /player\.vimeo\.com\/video\/(\d+)/,
+      /vimeo\.com\/(?:channels\/[^/\s]+\/|groups\/[^/\s]+\/videos\/|video\/)?(\d+)/,
+    ],
+    idPattern: /^\d+$/,
+    getEmbedUrl: (id) => `https://player.vimeo.com/video/${id}`,
+    getPageUrl: (id) => `https://vimeo.com/${id}`,
+    getThumbnailUrl: () => "",
+    oembedEndpoint: "https://vimeo.com/api/oembed.json",
+  },
+};
+
+/**
+ * Register (or replace) a video provider
+ * @param {string} name - Provider key stored on video items (e.g. "vimeo")
+ * @param {Object} provider - Provider definition (see VIDEO_PROVIDERS)
+ */
+function registerVideoProvider(name, provider) {
+  VIDEO_PROVIDERS[name] = provider;
+}
+
+/**
+ * Get a registered video provider
+ * @param {string} name - Provider key
+ * @returns {Object|null} Provider definition or null if unknown
+ */
+function getVideoProvider(name) {
+  return Object.prototype.hasOwnProperty.call(VIDEO_PROVIDERS, name) ? VIDEO_PROVIDERS[name] : null;
+}
+
+/**
+ * Get the keys of all registered video providers
+ * @returns {string[]} Provider keys
+ */
+function getVideoProviderNames() {
+  return Object.keys(VIDEO_PROVIDERS);
+}
+
+/**
+ * Parse a video URL (or bare YouTube ID) against the registered providers
+ * @param {string} url - Video page/embed URL or ID
+ * @returns {{provider: string, id: string}|null} Provider key and video ID, or null
+ */
+function parseVideoUrl(url) {
+  if (!url) return null;
+  const input = url.toString().trim();
+  for (const [name, provider] of Object.entries(VIDEO_PROVIDERS)) {
+    for (const pattern of provider.patterns) {
+      const match = input.match(pattern);
+      if (match && isValidVideoId(name, match[1])) return { provider: name, id: match[1] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a video ID against its provider's idPattern
+ * @param {string} providerName - Provider key
+ * @param {string} id - Video ID
+ * @returns {boolean} True if the provider is registered and the ID is well formed
+ */
+function isValidVideoId(providerName, id) {
+  const provider = getVideoProvider(providerName);
+  if (!provider || typeof id !== "string" || !id) return false;
+  return provider.idPattern ? provider.idPattern.test(id) : true;
+}
+
+/**
+ * Check that a URL is an absolute http(s) URL (e.g. a stored video thumbnail)
+ * @param {string} url - URL to check
+ * @returns {boolean} True for http:// and https:// URLs
+ */
+function isHttpUrl(url) {
+  return typeof url === "string" && /^https?:\/\/[^\s"'<>]+$/i.test(url);
+}
+
+/**
+ * Normalize a video content item to {type, provider, id, thumbnail?}.
+ * Legacy items only stored a YouTube ID as videoId. IDs that don't match
+ * the provider's idPattern make the item unrecognised; thumbnails that
+ * aren't http(s) URLs are dropped.
+ * @param {Object} item - Video item ({provider, id} or legacy {videoId})
+ * @returns {Object|null} Normalized video item or null if unrecognised
+ */
+function normalizeVideoItem(item) {
+  if (!item) return null;
+
+  let video = null;
+  if (item.provider && item.id) {
+    const id = String(item.id);
+    if (isValidVideoId(item.provider, id)) video = { type: "video", provider: item.provider, id };
+  } else if (item.videoId) {
+    const parsed = parseVideoUrl(item.videoId);
+    if (parsed) video = { type: "video", ...parsed };
   }
-  return "";
+
+  if (video && isHttpUrl(item.thumbnail)) video.thumbnail = item.thumbnail;
+  return video;
+}
+
+/**
+ * Get the iframe embed URL for a video item
+ * @param {Object} item - Video item ({provider, id} or legacy {videoId})
+ * @param {Object} [params] - Query parameters to append (e.g. { autoplay: 1 })
+ * @returns {string} Embed URL or empty string
+ */
+function getVideoEmbedUrl(item, params = {}) {
+  const video = normalizeVideoItem(item);
+  if (!video) return "";
+  const url = getVideoProvider(video.provider).getEmbedUrl(video.id);
+  const query = Object.entries(params)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join("&");
+  return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Get the thumbnail URL for a video item (stored oEmbed thumbnail first)
+ * @param {Object} item - Video item ({provider, id} or legacy {videoId})
+ * @returns {string} Thumbnail URL or empty string
+ */
+function getVideoThumbnail(item) {
+  const video = normalizeVideoItem(item);
+  if (!video) return "";
+  return video.thumbnail || getVideoProvider(video.provider).getThumbnailUrl(video.id) || "";
 }
 
 /**
@@ -76,7 +211,7 @@ function getImageCaption(img) {
 }
 
 /**
- * Get primary media for a work (prefers images over videos)
+ * Get primary media for a work (prefers images over videos, YouTube or self-hosted)
  * @param {Object} work - Work object with content/images fields
  * @returns {Object} Media descriptor
  */
@@ -85,14 +220,51 @@ function getPrimaryMedia(work) {
     const firstImage = work.content.find((c) => c.type === "image");
     if (firstImage) {
       const normalized = normalizeImageEntry(firstImage.src || firstImage);
-      return { type: "image", src: normalized.src, caption: firstImage.caption || normalized.caption };
+      return {
+        type: "image",
+        src: normalized.src,
+        caption: firstImage.caption || normalized.caption,
+        width: firstImage.width,
+        height: firstImage.height,
+        variants: firstImage.variants || [],
+        placeholder: firstImage.placeholder,
+        color: firstImage.color,
+      };
+    }
+    const firstVideo = work.content.find((c) => c.type === "video" || c.type === "localVideo");
+    if (firstVideo && firstVideo.type === "localVideo") {
+      return {
+        type: "localVideo",
+        src: firstVideo.src,
+        poster: firstVideo.poster || "",
+        loop: !!firstVideo.loop,
+        muted: !!firstVideo.muted,
+        autoplay: !!firstVideo.autoplay,
+      };
     }
-    const firstVideo = work.content.find((c) => c.type === "video");
-    if (firstVideo) {
+    const video = normalizeVideoItem(firstVideo);
+    if (video) {
       return {
         type: "video",
-        videoId: firstVideo.videoId,
-        thumbnail: getYouTubeThumbnail(firstVideo.videoId),
+        provider: video.provider,
+        id: video.id,
+        embedUrl: getVideoEmbedUrl(video),
+        thumbnail: getVideoThumbnail(video),
+      };
+    }
+    // Works made only of comparisons are represented by their final ("after") image
+    const firstComparison = work.content.find((c) => c.type === "comparison" && c.after);
+    if (firstComparison) {
+      const { after } = firstComparison;
+      return {
+        type: "image",
+        src: after.src,
+        caption: after.label || null,
+        width: after.width,
+        height: after.height,
+        variants: after.variants || [],
+        placeholder: after.placeholder,
+        color: after.color,
       };
     }
   }
@@ -104,11 +276,14 @@ function getPrimaryMedia(work) {
     }
   }
 
-  if (work && work.videoId) {
+  const legacyVideo = work && normalizeVideoItem({ provider: work.videoProvider, id: work.videoId, videoId: work.videoId });
+  if (legacyVideo) {
     return {
       type: "video",
-      videoId: work.videoId,
-      thumbnail: getYouTubeThumbnail(work.videoId),
+      provider: legacyVideo.provider,
+      id: legacyVideo.id,
+      embedUrl: getVideoEmbedUrl(legacyVideo),
+      thumbnail: work.thumbnail || getVideoThumbnail(legacyVideo),
     };
   }
 
@@ -119,16 +294,6 @@ function getPrimaryMedia(work) {
   return { type: "none" };
 }
 
-/**
- * Get YouTube thumbnail URL from video ID
- * @param {string} videoId - YouTube video ID
- * @returns {string} Thumbnail URL or empty string
- */
-function getYouTubeThumbnail(videoId) {
-  if (!videoId) return "";
-  return `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
-}
-
 /**
  * Get array from semicolon-separated value
  * @param {string} value - Semicolon-separated string
@@ -142,6 +307,32 @@ function getMultiValues(value) {
     .filter((v) => v);
 }
 
+/**
+ * Get a work's publishing status (works without one predate publishing
+ * states and are published)
+ * @param {Object} work - Work object or meta.json
+ * @returns {string} "draft", "scheduled", "published" or "archived"
+ */
+function getWorkStatus(work) {
+  return (work && work.status) || "published";
+}
+
+/**
+ * Check whether a work is live: published or scheduled, and its publishAt
+ * (if any) has passed. Scheduled works need a publishAt.
+ * @param {Object} work - Work object or meta.json ({status?, publishAt?})
+ * @param {Date} [now=new Date()] - Time to check against
+ * @returns {boolean} True if the work belongs on the public site
+ */
+function isWorkLive(work, now = new Date()) {
+  const status = getWorkStatus(work);
+  if (status !== "published" && status !== "scheduled") return false;
+  if (!work.publishAt) return status === "published";
+
+  const publishTime = new Date(work.publishAt).getTime();
+  return !Number.isNaN(publishTime) && publishTime <= now.getTime();
+}
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} text - Text to escape
@@ -163,13 +354,22 @@ function escapeHtml(text) {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     slugify,
-    extractYouTubeId,
-    getYouTubeThumbnail,
+    registerVideoProvider,
+    getVideoProvider,
+    getVideoProviderNames,
+    parseVideoUrl,
+    isValidVideoId,
+    isHttpUrl,
+    normalizeVideoItem,
+    getVideoEmbedUrl,
+    getVideoThumbnail,
     normalizeImageEntry,
     getImageSrc,
     getImageCaption,
     getPrimaryMedia,
     getMultiValues,
+    getWorkStatus,
+    isWorkLive,
     escapeHtml,
   };
 }
@@ -178,13 +378,22 @@ if (typeof module !== "undefined" && module.exports) {
 if (typeof window !== "undefined") {
   window.PortfolioUtils = {
     slugify,
-    extractYouTubeId,
-    getYouTubeThumbnail,
+    registerVideoProvider,
+    getVideoProvider,
+    getVideoProviderNames,
+    parseVideoUrl,
+    isValidVideoId,
+    isHttpUrl,
+    normalizeVideoItem,
+    getVideoEmbedUrl,
+    getVideoThumbnail,
     normalizeImageEntry,
     getImageSrc,
     getImageCaption,
     getPrimaryMedia,
     getMultiValues,
+    getWorkStatus,
+    isWorkLive,
     escapeHtml,
   };
 }
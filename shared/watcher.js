@@ -0,0 +1,105 @@
+/**
+ * File watching and live reload for the dev server (node server.js --watch):
+ * batches filesystem changes and pushes them to open tabs over Server-Sent Events
+ * Used by: server.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Browser client, injected into HTML pages served in watch mode
+const CLIENT_SCRIPT = '<script src="/shared/live-reload.js"></script>';
+
+/**
+ * Watch files and directories, calling back once per burst of changes
+ * @param {Array<{path: string, recursive?: boolean, files?: string[]}>} targets -
+ *   Directories to watch (files limits a directory to the named entries)
+ * @param {Function} onChange - Receives the changed paths (relative to rootDir)
+ * @param {Object} options
+ * @param {string} options.rootDir - Base for the reported paths
+ * @param {Function} [options.ignore] - Returns true for relative paths to skip
+ * @param {number} [options.debounce=200] - Quiet period (ms) before calling back
+ * @returns {Function} Stops watching
+ */
+function watchPaths(targets, onChange, options) {
+  const { rootDir, ignore = () => false, debounce = 200 } = options;
+  const pending = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const changed = [...pending].sort();
+    pending.clear();
+    onChange(changed);
+  };
+
+  const watchers = targets.map((target) => {
+    const watcher = fs.watch(target.path, { recursive: Boolean(target.recursive) }, (eventType, filename) => {
+      if (!filename) return;
+      if (target.files && !target.files.includes(filename)) return;
+
+      const relative = path.relative(rootDir, path.join(target.path, filename.toString())).split(path.sep).join("/");
+      if (relative.split("/").some((part) => part.startsWith(".")) || ignore(relative)) return;
+
+      pending.add(relative);
+      clearTimeout(timer);
+      timer = setTimeout(flush, debounce);
+    });
+    watcher.on("error", (err) => console.error(`Error watching ${target.path}:`, err.message));
+    return watcher;
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+  };
+}
+
+/**
+ * Create a Server-Sent Events hub for live reload
+ * @returns {{handler: Function, broadcast: Function, injectClient: Function}}
+ *   Express handler for the event stream, a function sending an event to
+ *   every open tab, and one adding the client script to an HTML page
+ */
+function createLiveReload() {
+  const clients = new Set();
+
+  // Comment lines keep idle connections from timing out in proxies
+  setInterval(() => {
+    clients.forEach((res) => res.write(": ping\n\n"));
+  }, 30000).unref();
+
+  function handler(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    res.write("retry: 1000\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+  }
+
+  /**
+   * Send an event to every connected tab
+   * @param {string} event - "reload", "css" or "data"
+   * @param {Object} [data={}] - JSON payload
+   */
+  function broadcast(event, data = {}) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach((res) => res.write(message));
+  }
+
+  // Load the client script from an HTML page (before </body>)
+  function injectClient(html) {
+    return html.includes("</body>") ? html.replace("</body>", `${CLIENT_SCRIPT}\n</body>`) : html + CLIENT_SCRIPT;
+  }
+
+  return { handler, broadcast, injectClient };
+}
+
+module.exports = {
+  watchPaths,
+  createLiveReload,
+};
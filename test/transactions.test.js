@@ -0,0 +1,186 @@
+// Crash safety of staged work changes (shared/transactions.js): a crash is
+// simulated after every filesystem write of a commit, and of the recovery
+// that follows, and each time the work must end up entirely old or entirely new.
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
+const CONFIG = require("../shared/config");
+const { beginWorkChange, recoverWorkChanges } = require("../shared/transactions");
+
+const OLD_FILES = { "meta.json": '{"title":"Old"}', "image.jpg": "old image", "image2.jpg": "kept" };
+const NEW_FILES = { "meta.json": '{"title":"New"}', "image.jpg": "new image", "image3.jpg": "added" };
+
+// Filesystem writes the transaction code makes (reads are left alone)
+const WRITES = ["rename", "rm", "writeFile", "mkdir", "copyFile"];
+
+class SimulatedCrash extends Error {}
+
+// Make the writes fail from the nth one on, as if the process had died there
+function crashAfter(writes) {
+  const originals = {};
+  let count = 0;
+  let crashed = false;
+  for (const name of WRITES) {
+    originals[name] = fsPromises[name];
+    fsPromises[name] = (...args) => {
+      if (crashed || count++ >= writes) {
+        crashed = true;
+        return Promise.reject(new SimulatedCrash(`crashed before ${name}`));
+      }
+      return originals[name](...args);
+    };
+  }
+  return {
+    get crashed() {
+      return crashed;
+    },
+    restore() {
+      Object.assign(fsPromises, originals);
+    },
+  };
+}
+
+// Every file under a folder with its contents, by relative path
+function snapshot(dir) {
+  const files = {};
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) walk(entryPath);
+      else files[path.relative(dir, entryPath).split(path.sep).join("/")] = fs.readFileSync(entryPath, "utf8");
+    }
+  };
+  if (fs.existsSync(dir)) walk(dir);
+  return files;
+}
+
+// The works folder, with paths from the site root
+function snapshotWorks(rootDir) {
+  return prefixed("works", snapshot(path.join(rootDir, "works")));
+}
+
+function prefixed(prefix, files) {
+  return Object.fromEntries(Object.entries(files).map(([name, content]) => [`${prefix}/${name}`, content]));
+}
+
+// Site root with one work, plus the change to make to it
+function setUp(projectPath) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "transactions-"));
+  if (projectPath) {
+    fs.mkdirSync(path.join(rootDir, projectPath), { recursive: true });
+    for (const [name, content] of Object.entries(OLD_FILES)) {
+      fs.writeFileSync(path.join(rootDir, projectPath, name), content);
+    }
+  }
+  return rootDir;
+}
+
+async function stageChange(rootDir, projectPath, targetPath) {
+  const change = await beginWorkChange(rootDir, {
+    projectPath: projectPath && path.join(rootDir, projectPath),
+    targetPath: path.join(rootDir, targetPath),
+  });
+  for (const [name, content] of Object.entries(NEW_FILES)) {
+    if (name !== "meta.json") fs.writeFileSync(path.join(change.dir, name), content);
+  }
+  await change.writeMeta(JSON.parse(NEW_FILES["meta.json"]));
+  return change;
+}
+
+// Crash the commit after each write in turn, then the recovery too, and check
+// the work is never left half changed
+async function checkCrashes(projectPath, targetPath) {
+  const before = projectPath ? prefixed(projectPath, OLD_FILES) : {};
+  const afterFiles = { ...(projectPath ? OLD_FILES : {}), ...NEW_FILES };
+  const after = prefixed(targetPath, afterFiles);
+  // writeMeta pretty-prints meta.json
+  after[`${targetPath}/meta.json`] = JSON.stringify(JSON.parse(NEW_FILES["meta.json"]), null, 2);
+
+  for (let commitWrites = 0; ; commitWrites++) {
+    for (let recoveryWrites = 0; ; recoveryWrites++) {
+      const rootDir = setUp(projectPath);
+      try {
+        const change = await stageChange(rootDir, projectPath, targetPath);
+
+        const commitCrash = crashAfter(commitWrites);
+        let committed = false;
+        try {
+          await change.commit();
+          committed = true;
+        } catch (err) {
+          if (!(err instanceof SimulatedCrash)) throw err;
+        } finally {
+          commitCrash.restore();
+        }
+        if (committed) {
+          assert.deepStrictEqual(snapshotWorks(rootDir), after);
+          return commitWrites;
+        }
+
+        // Recovery can crash as well; the next start tries again
+        const recoveryCrash = crashAfter(recoveryWrites);
+        let recoveryCrashed = false;
+        try {
+          await recoverWorkChanges(rootDir);
+        } catch (err) {
+          if (!(err instanceof SimulatedCrash)) throw err;
+          recoveryCrashed = true;
+        } finally {
+          recoveryCrash.restore();
+        }
+        if (recoveryCrashed) await recoverWorkChanges(rootDir);
+
+        const label = `crash after ${commitWrites} commit and ${recoveryWrites} recovery writes`;
+        const result = snapshotWorks(rootDir);
+        assert.ok(
+          isDeepStrictEqual(result, before) || isDeepStrictEqual(result, after),
+          `${label}: work is half changed: ${JSON.stringify(result)}`,
+        );
+        assert.deepStrictEqual(snapshot(path.join(rootDir, CONFIG.staging.dir)), {}, `${label}: staging not cleared`);
+        if (!recoveryCrashed) break;
+      } finally {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+test("a crash while updating a work in place leaves it old or new", async () => {
+  const writes = await checkCrashes("works/2024/castle", "works/2024/castle");
+  assert.ok(writes > 0);
+});
+
+test("a crash while renaming a work leaves it old or new", async () => {
+  const writes = await checkCrashes("works/2024/castle", "works/2025/castle-keep");
+  assert.ok(writes > 0);
+});
+
+test("a crash while creating a work leaves no work or the whole work", async () => {
+  const writes = await checkCrashes(null, "works/2024/castle");
+  assert.ok(writes > 0);
+});
+
+test("a committed change is cleaned up, not rolled back", async () => {
+  const rootDir = setUp("works/2024/castle");
+  try {
+    const change = await stageChange(rootDir, "works/2024/castle", "works/2025/castle-keep");
+    // Crash on the cleanup, the last write of the commit
+    const originalRm = fsPromises.rm;
+    fsPromises.rm = () => Promise.reject(new SimulatedCrash("crashed before rm"));
+    await assert.rejects(change.commit(), SimulatedCrash);
+    fsPromises.rm = originalRm;
+
+    const recovered = await recoverWorkChanges(rootDir);
+    assert.deepStrictEqual(recovered, []);
+    assert.strictEqual(fs.readFileSync(path.join(rootDir, "works/2025/castle-keep/image.jpg"), "utf8"), "new image");
+    assert.ok(!fs.existsSync(path.join(rootDir, "works/2024/castle")));
+    assert.deepStrictEqual(snapshot(path.join(rootDir, CONFIG.staging.dir)), {});
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Manage admin accounts (stored hashed in .data/users.json, see CONFIG.auth)
+ *
+ * Run: node users.js list
+ *      node users.js add <username> [--role viewer|contributor|editor|owner]
+ *      node users.js passwd <username>
+ *      node users.js role <username> <role>
+ *      node users.js remove <username>
+ * The first account added is an owner, later ones contributors unless --role says otherwise
+ * Passwords are prompted for, or read from stdin when it isn't a terminal
+ */
+
+const readline = require("readline");
+const { loadUsers, findUser, addUser, updateUser, removeUser } = require("./shared/auth");
+const { ROLES } = require("./shared/permissions");
+
+const rootDir = __dirname;
+
+const args = process.argv.slice(2);
+const [command, username] = args;
+
+// Value following a flag (e.g. --role editor), or null
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+/**
+ * Ask for a password without echoing it
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<string>} Entered password
+ */
+function askPassword(prompt) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.includes(prompt)) process.stdout.write(text);
+    };
+    rl.question(prompt, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Read the password from a pipe (first line of stdin)
+ * @returns {Promise<string>} Password
+ */
+async function readPasswordFromStdin() {
+  let input = "";
+  for await (const chunk of process.stdin) input += chunk;
+  return input.split(/\r?\n/)[0];
+}
+
+/**
+ * Get a new password, confirmed when typed interactively
+ * @returns {Promise<string>} Password
+ */
+async function getNewPassword() {
+  if (!process.stdin.isTTY) return readPasswordFromStdin();
+
+  const password = await askPassword("Password: ");
+  const confirmation = await askPassword("Confirm password: ");
+  if (password !== confirmation) {
+    throw new Error("Passwords don't match");
+  }
+  return password;
+}
+
+async function main() {
+  if (command === "list") {
+    const users = loadUsers(rootDir);
+    if (users.length === 0) console.log("No users yet. Add one with: node users.js add <username> --role owner");
+    users.forEach((user) => console.log(`${user.username.padEnd(20)} ${user.role.padEnd(12)} (created ${user.createdAt})`));
+    return;
+  }
+
+  if (!["add", "passwd", "role", "remove"].includes(command) || !username) {
+    console.error(`Usage: node users.js list
+       node users.js add <username> [--role ${ROLES.join("|")}]
+       node users.js passwd <username>
+       node users.js role <username> <role>
+       node users.js remove <username>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === "add") {
+    // The first account manages the others
+    const role = getArgValue("--role") || (loadUsers(rootDir).length === 0 ? "owner" : "contributor");
+    await addUser(rootDir, { username, password: await getNewPassword(), role });
+    console.log(`Added ${role} ${username}`);
+  } else if (command === "passwd") {
+    if (!findUser(rootDir, username)) throw new Error(`No user named ${username}`);
+    await updateUser(rootDir, username, { password: await getNewPassword() });
+    console.log(`Changed password for ${username}`);
+  } else if (command === "role") {
+    const role = process.argv[4];
+    await updateUser(rootDir, username, { role });
+    console.log(`${username} is now ${role === "owner" ? "an" : "a"} ${role}`);
+  } else {
+    removeUser(rootDir, username);
+    console.log(`Removed user ${username}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+});
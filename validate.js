@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Lint the whole works tree and report broken projects:
+ *
+ *   - meta.json schema errors (shared/schema.js)
+ *   - files referenced in meta.json that don't exist (the scanner drops them)
+ *   - images and videos on disk that no meta.json references
+ *   - video sidecars (video1.txt, ...) not yet imported by migrate-content.js
+ *   - duplicate slugs (?work= links resolve to the first match)
+ *   - malformed or unrecognised video IDs
+ *   - dates that don't match their year folder
+ *   - projects still in the legacy format or an older schema version
+ *
+ * Run: node validate.js (or npm run validate)
+ * Add --json for machine-readable output
+ * Add --strict to exit non-zero on warnings as well as errors
+ */
+
+const fs = require("fs");
+const path = require("path");
+const CONFIG = require("./shared/config");
+const { slugify, normalizeVideoItem, getVideoProvider, isValidVideoId } = require("./shared/utils");
+const { getAllProjects, findVideoSidecars, getReferencedFiles } = require("./shared/scanner");
+const { validateMeta, formatValidationErrors } = require("./shared/schema");
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion } = require("./shared/migrations");
+
+const rootDir = __dirname;
+const worksDir = path.join(__dirname, "works");
+const jsonOutput = process.argv.includes("--json");
+const strict = process.argv.includes("--strict");
+
+// Files on disk that should be referenced by a meta.json
+const MEDIA_EXTENSIONS = [
+  ".jpg", ".jpeg", ".png", ".webp", ".avif", ".gif", ".svg", ".tif", ".tiff",
+  ...CONFIG.localVideo.extensions,
+];
+
+/**
+ * Check a video item (or legacy videoId) against the provider registry
+ * @param {Object} item - Video item ({provider, id} or {videoId})
+ * @returns {string|null} Problem description or null when well-formed
+ */
+function checkVideoId(item) {
+  const provider = getVideoProvider(item.provider);
+  if (provider && item.id && !isValidVideoId(item.provider, String(item.id))) {
+    return `malformed ${provider.label} ID "${item.id}"`;
+  }
+  if (!normalizeVideoItem(item)) {
+    return `unrecognised video "${item.videoId || `${item.provider}:${item.id}`}"`;
+  }
+  return null;
+}
+
+/**
+ * Lint a single project
+ * @param {Object} project - Project info object (from getAllProjects)
+ * @returns {{meta: Object|null, issues: Array<{severity: string, code: string, message: string}>}}
+ */
+function lintProject(project) {
+  const issues = [];
+  const report = (severity, code, message) => issues.push({ severity, code, message });
+
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(project.metaPath, "utf8"));
+  } catch (err) {
+    report("error", "unreadable", `meta.json could not be read: ${err.message}`);
+    return { meta: null, issues };
+  }
+
+  formatValidationErrors(validateMeta(meta)).forEach((line) => report("error", "schema", line));
+
+  // Referenced files that are missing, and media files nothing references
+  const referenced = getReferencedFiles(meta);
+  const referencedNames = new Set(referenced.map((file) => file.src));
+  referenced.forEach(({ src, kind }) => {
+    if (!fs.existsSync(path.join(project.path, src))) {
+      report(kind === "variant" ? "warning" : "error", "missing-file", `${kind} ${src} does not exist`);
+    }
+  });
+  fs.readdirSync(project.path).forEach((name) => {
+    if (MEDIA_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !referencedNames.has(name)) {
+      report("warning", "orphan-file", `${name} is not referenced by meta.json`);
+    }
+  });
+
+  findVideoSidecars(project.path).forEach((name) => {
+    report("warning", "sidecar", `${name} is not imported yet, run migrate-content.js`);
+  });
+
+  // Embedded video IDs
+  const videos = Array.isArray(meta.content)
+    ? meta.content.filter((item) => item && item.type === "video")
+    : [];
+  if (!Array.isArray(meta.content) && meta.type === "video") {
+    videos.push({ videoId: meta.videoId });
+  }
+  videos.forEach((item) => {
+    const problem = checkVideoId(item);
+    if (problem) report("error", "video-id", problem);
+  });
+
+  // Folder placement
+  if (project.structure === "new") {
+    const year = String(meta.date || "").substring(0, 4);
+    if (year && year !== project.parentFolder) {
+      report("warning", "year-mismatch", `date ${meta.date} does not match year folder ${project.parentFolder}`);
+    }
+  } else {
+    report("warning", "legacy-folder", `not inside a year folder (works/${project.parentFolder}/)`);
+  }
+
+  const version = getSchemaVersion(meta);
+  if (!Array.isArray(meta.content)) {
+    report("warning", "legacy-format", "legacy format (no content array), run migrate-content.js");
+  } else if (version < CURRENT_SCHEMA_VERSION) {
+    report("warning", "schema-version", `schema version ${version} is outdated (current ${CURRENT_SCHEMA_VERSION}), run migrate-content.js`);
+  } else if (version > CURRENT_SCHEMA_VERSION) {
+    report("error", "schema-version", `schema version ${version} is newer than supported (${CURRENT_SCHEMA_VERSION})`);
+  }
+
+  return { meta, issues };
+}
+
+/**
+ * Lint every project under works/, including cross-project checks
+ * @param {string} dir - Path to works directory
+ * @returns {Promise<{projects: number, issues: Array<{project: string, severity: string, code: string, message: string}>}>}
+ */
+async function validateWorks(dir) {
+  const projects = await getAllProjects(dir);
+  const issues = [];
+  const slugs = new Map();
+
+  for (const project of projects) {
+    const projectName = path.relative(rootDir, project.path).split(path.sep).join("/");
+    const { meta, issues: projectIssues } = lintProject(project);
+    projectIssues.forEach((issue) => issues.push({ project: projectName, ...issue }));
+
+    if (meta && meta.title) {
+      const slug = slugify(meta.title);
+      slugs.set(slug, [...(slugs.get(slug) || []), projectName]);
+    }
+  }
+
+  slugs.forEach((projectNames, slug) => {
+    if (projectNames.length < 2) return;
+    projectNames.forEach((projectName) => {
+      const others = projectNames.filter((name) => name !== projectName).join(", ");
+      issues.push({
+        project: projectName,
+        severity: "error",
+        code: "duplicate-slug",
+        message: `slug "${slug}" is also used by ${others}`,
+      });
+    });
+  });
+
+  return { projects: projects.length, issues };
+}
+
+/**
+ * Print issues grouped by project
+ * @param {{projects: number, issues: Array}} result - Result of validateWorks
+ */
+function printReport({ projects, issues }) {
+  const byProject = new Map();
+  issues.forEach((issue) => {
+    byProject.set(issue.project, [...(byProject.get(issue.project) || []), issue]);
+  });
+
+  byProject.forEach((projectIssues, projectName) => {
+    console.log(projectName);
+    projectIssues.forEach(({ severity, code, message }) => {
+      console.log(`  ${severity.padEnd(7)} ${message} [${code}]`);
+    });
+    console.log("");
+  });
+
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+  const warnings = issues.length - errors;
+  console.log(`Checked ${projects} projects: ${errors} error(s), ${warnings} warning(s) in ${byProject.size} project(s)`);
+}
+
+async function main() {
+  const result = await validateWorks(worksDir);
+  const errorCount = result.issues.filter((issue) => issue.severity === "error").length;
+  const warningCount = result.issues.length - errorCount;
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ ...result, errors: errorCount, warnings: warningCount }, null, 2));
+  } else {
+    printReport(result);
+  }
+
+  process.exitCode = errorCount > 0 || (strict && warningCount > 0) ? 1 : 0;
+}
+
+main();